@@ -1,12 +1,134 @@
 // Authentication and User Management System
-// Uses localStorage for data persistence in pure frontend implementation
+// Uses localStorage for data persistence in pure frontend implementation.
+// Preferences are validated with dictation.js and vocabulary.js, so pages load both before this file
+
+// Password hashing settings (PBKDF2 via WebCrypto)
+const PASSWORD_HASH_ALGORITHM = 'PBKDF2-SHA256';
+const PASSWORD_HASH_ITERATIONS = 310000;
+const PASSWORD_HASH_BITS = 256;
+const PASSWORD_SALT_BYTES = 16;
+
+// Compared against when the email is unknown, so both paths cost one key derivation
+const UNKNOWN_ACCOUNT_HASH = {
+    algorithm: PASSWORD_HASH_ALGORITHM,
+    iterations: PASSWORD_HASH_ITERATIONS,
+    salt: 'AAAAAAAAAAAAAAAAAAAAAA==',
+    hash: ''
+};
+
+// Failed login throttling defaults (per account and per browser)
+const DEFAULT_LOGIN_THROTTLE = {
+    maxAttempts: 5,                     // failures before a temporary lockout
+    lockoutDuration: 15 * 60 * 1000,    // 15 minutes
+    baseDelay: 1000,                    // back-off after the first failure
+    maxDelay: 60 * 1000,                // back-off ceiling
+    failureWindow: 15 * 60 * 1000       // failures older than this no longer count
+};
+
+const GENERIC_LOGIN_ERROR = 'Invalid email or password';
+const DISABLED_ACCOUNT_ERROR = 'This account has been disabled. Please contact an administrator';
+
+// User roles; the first registered account becomes the admin
+const USER_ROLES = ['admin', 'user'];
+
+// User preferences and their defaults
+const DEFAULT_PREFERENCES = {
+    theme: 'dark',
+    defaultLanguage: 'en-US',  // speech recognition language
+    defaultVoice: '',          // speech synthesis voice name ('' = browser default)
+    rate: 1,
+    pitch: 1,
+    volume: 1,
+    autoSave: true,
+    speechEngine: 'browser',   // 'simulated' replays a scripted session instead of using the microphone
+    dictationCommands: [],     // user-defined spoken commands: [{ phrase, replacement }]
+    vocabulary: [],            // replacement rules for recognized text, see vocabulary.js
+    transcriptFormatting: {    // speech-to-text post-processing stages
+        capitalize: true,
+        punctuateOnPause: true,
+        collapseWhitespace: true,
+        formatNumbers: true,
+        dateStyle: 'long',
+        timeStyle: '12h'
+    }
+};
+
+const AVAILABLE_THEMES = ['dark', 'high-contrast'];
+const AVAILABLE_SPEECH_ENGINES = ['browser', 'simulated'];
+
+// Two-factor authentication settings
+const TWO_FACTOR_LOGIN_TIMEOUT = 5 * 60 * 1000;  // time allowed for the second step (and for a forced password reset)
+const BACKUP_CODE_COUNT = 10;
+
+// Offline account recovery
+const RECOVERY_CODE_COUNT = 8;
+const RECOVERY_KEY_ITERATIONS = 100000;  // recovery codes are random, so they need less stretching than passwords
+const GENERIC_RECOVERY_ERROR = 'Invalid email or recovery code';
+
+// Deleted accounts can be restored by signing in until the grace period ends
+const ACCOUNT_DELETION_GRACE_PERIOD = 14 * 24 * 60 * 60 * 1000;  // 14 days
+
+// Per-user security audit log; the oldest entries are dropped past the cap
+const AUDIT_LOG_LIMIT = 200;
+
+// Conversions made without an account live in a temporary store until sign-in or expiry
+const GUEST_STORAGE_KEY = 'guestConversions';
+const GUEST_DATA_LIFETIME = 7 * 24 * 60 * 60 * 1000;  // 7 days from the first guest conversion
+const GUEST_RECORDING_OWNER = 'guest';                 // owner id of recordings made without signing in
+
+// Compare two strings without returning early on the first mismatch
+function constantTimeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+        return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+// One-time codes (2FA backup codes, recovery codes) look like "K7Q2M-XW9PD" and are stored hashed
+function generateOneTimeCodes(count) {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I lookalikes
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const bytes = crypto.getRandomValues(new Uint8Array(10));
+        const chars = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+        codes.push(`${chars.slice(0, 5)}-${chars.slice(5)}`);
+    }
+    return codes;
+}
+
+function normalizeOneTimeCode(code) {
+    return String(code).toUpperCase().replace(/[\s-]/g, '');
+}
+
+async function hashOneTimeCode(code) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalizeOneTimeCode(code)));
+    return bytesToBase64(new Uint8Array(digest));
+}
 
 // User data structure and management
 class AuthManager {
-    constructor() {
+    constructor(options = {}) {
+        this.loginThrottle = { ...DEFAULT_LOGIN_THROTTLE, ...(options.loginThrottle || {}) };
+        this.deletionGracePeriod = options.deletionGracePeriod || ACCOUNT_DELETION_GRACE_PERIOD;
+        this.passwordPolicy = { ...DEFAULT_PASSWORD_POLICY, ...(options.passwordPolicy || {}) };
         this.currentUser = null;
+        this.dataKey = null;              // non-extractable key for the signed-in user's conversions, in this page's memory only
+        this.conversionCache = null;      // decrypted conversions, null while locked
+        this.ready = null;                // pending unlock, see whenAuthReady
+        this.conversionWrite = Promise.resolve();
         this.users = this.loadUsers();
+        this.purgeExpiredAccounts();
+        this.migrateConversionStorage();
+        this.ensureUserRoles();
+        sessionManager.onEnd(reason => this.handleSessionEnd(reason));
+        window.addEventListener('storage', event => this.handleConversionStorage(event));
+        window.addEventListener('storage', event => this.handleUsersStorage(event));
         this.initializeAuth();
+        deleteLegacySessionKeys();
     }
 
     initializeAuth() {
@@ -20,6 +142,95 @@ class AuthManager {
                 localStorage.removeItem('currentUser');
             }
         }
+
+        // A cached user only counts as signed in while a live session token backs it
+        if (this.currentUser && (!sessionManager.validate() || !sessionManager.isValid(this.currentUser.id))) {
+            this.clearCurrentUser();
+        }
+
+        this.enforceAccountStatus();
+    }
+
+    // Deleted, disabled or pending-deletion accounts lose their session, as do sessions started
+    // before an administrator last disabled the account
+    enforceAccountStatus() {
+        if (!this.currentUser) {
+            return;
+        }
+
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        const session = sessionManager.getSession();
+        const revoked = Boolean(user && user.sessionsRevokedAt && session && session.createdAt < user.sessionsRevokedAt);
+        if (!user || user.disabled || user.deletionScheduledAt || revoked) {
+            sessionManager.end('logout');
+        }
+    }
+
+    // An admin console in another tab may have disabled or deleted this account
+    handleUsersStorage(event) {
+        if (event.key !== 'users') {
+            return;
+        }
+        this.users = this.loadUsers();
+        this.enforceAccountStatus();
+    }
+
+    // Copy of a user record that is safe to keep in the session (no password or secrets)
+    toSessionUser(user) {
+        const sessionUser = { ...user };
+        delete sessionUser.password; // Don't store password in session
+        delete sessionUser.twoFactor;
+        delete sessionUser.twoFactorPending;
+        delete sessionUser.recoveryCodes;
+        delete sessionUser.recoveryKeys;
+        delete sessionUser.encryption;
+        sessionUser.twoFactorEnabled = Boolean(user.twoFactor && user.twoFactor.enabled);
+        return sessionUser;
+    }
+
+    // Write the signed-in user and issue a new session token
+    startUserSession(user) {
+        this.currentUser = this.toSessionUser(user);
+        localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+        sessionManager.start(this.currentUser.id);
+        return this.currentUser;
+    }
+
+    clearCurrentUser() {
+        this.currentUser = null;
+        localStorage.removeItem('currentUser');
+    }
+
+    // Called when the session ends here or in another tab
+    handleSessionEnd(reason) {
+        if (reason === 'replaced') {
+            // Another tab signed in; pick up its user on reload
+            window.location.reload();
+            return;
+        }
+
+        this.clearCurrentUser();
+        this.lockConversions();
+
+        // Clear any user-specific data from session
+        const keysToRemove = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith('temp_')) {
+                keysToRemove.push(key);
+            }
+        }
+        keysToRemove.forEach(key => localStorage.removeItem(key));
+
+        const path = window.location.pathname;
+        const onPublicPage = path.includes('login.html') || path.includes('index.html') || path.endsWith('/');
+        if (reason === 'logout' && !onPublicPage) {
+            window.location.href = 'login.html';
+        } else if (reason === 'deleted') {
+            window.location.href = 'login.html?reason=deleted';
+        } else if (reason === 'expired' && !onPublicPage) {
+            window.location.href = 'login.html?reason=expired';
+        }
     }
 
     loadUsers() {
@@ -40,16 +251,343 @@ class AuthManager {
         }
     }
 
+    // Accounts created before roles existed get one; the earliest account is promoted if no admin is left
+    ensureUserRoles() {
+        if (this.users.length === 0) {
+            return;
+        }
+
+        let changed = false;
+        this.users.forEach(user => {
+            if (!USER_ROLES.includes(user.role)) {
+                user.role = 'user';
+                changed = true;
+            }
+        });
+
+        if (!this.users.some(user => user.role === 'admin')) {
+            const earliest = this.users.reduce((first, user) =>
+                (user.registrationDate || 0) < (first.registrationDate || 0) ? user : first);
+            earliest.role = 'admin';
+            changed = true;
+        }
+
+        if (changed) {
+            this.saveUsers();
+        }
+    }
+
+    // Conversions are keyed by the immutable user id so email changes keep the history
+    getConversionsKey(userId) {
+        return `conversions_${userId}`;
+    }
+
+    // One-time move of history stored under the old email-based keys
+    migrateConversionStorage() {
+        this.users.forEach(user => {
+            const legacyKey = `conversions_${user.email}`;
+            const legacyData = localStorage.getItem(legacyKey);
+            if (legacyData === null) {
+                return;
+            }
+
+            try {
+                const legacyConversions = JSON.parse(legacyData) || [];
+                const key = this.getConversionsKey(user.id);
+                const existing = JSON.parse(localStorage.getItem(key)) || [];
+                if (!Array.isArray(existing)) {
+                    // Already encrypted; email-keyed stores predate encryption, so this should not happen
+                    return;
+                }
+                const existingIds = new Set(existing.map(c => c.id));
+                const merged = existing.concat(legacyConversions.filter(c => !existingIds.has(c.id)));
+
+                localStorage.setItem(key, JSON.stringify(merged));
+                localStorage.removeItem(legacyKey);
+            } catch (error) {
+                console.error('Error migrating conversions:', error);
+            }
+        });
+    }
+
+    // Create (accounts from before encryption) or unwrap the user's conversions key with their password
+    async unlockDataKey(user, password) {
+        if (!user.encryption) {
+            const dataKey = await generateDataKey();
+            user.encryption = await wrapDataKey(dataKey, password);
+            this.saveUsers();
+            return dataKey;
+        }
+
+        try {
+            return await unwrapDataKey(user.encryption, password);
+        } catch (error) {
+            console.error('Error unwrapping conversions key:', error);
+            throw new Error('Unable to unlock your saved conversions');
+        }
+    }
+
+    // Each recovery code gets its own wrapped copy of the key, so a reset keeps the history readable
+    wrapForRecoveryCodes(dataKey, recoveryCodes) {
+        return Promise.all(recoveryCodes.map(code =>
+            wrapDataKey(dataKey, normalizeOneTimeCode(code), RECOVERY_KEY_ITERATIONS)));
+    }
+
+    // Sign in with an unlocked key and decrypt the history
+    async openUserSession(user, dataKey) {
+        this.dataKey = await toSessionKey(dataKey);
+        const sessionUser = this.startUserSession(user);
+        await this.loadConversionCache();
+        return sessionUser;
+    }
+
+    // The key never leaves page memory, so every page opened while signed in starts locked
+    isConversionsLocked() {
+        return Boolean(this.currentUser) && !this.dataKey;
+    }
+
+    // Unwrap the key again with the password on a page opened during the session
+    async unlockConversions(password) {
+        const user = this.getCurrentUserRecord();
+        const dataKey = await this.unlockDataKey(user, password);
+        this.dataKey = await toSessionKey(dataKey);
+        await this.loadConversionCache();
+    }
+
+    lockConversions() {
+        this.dataKey = null;
+        this.conversionCache = null;
+    }
+
+    async loadConversionCache() {
+        const stored = JSON.parse(localStorage.getItem(this.getConversionsKey(this.currentUser.id)));
+        if (!stored) {
+            this.conversionCache = [];
+        } else if (isEncryptedEnvelope(stored)) {
+            this.conversionCache = await decryptJSON(this.dataKey, stored);
+        } else {
+            // Plaintext history from before encryption is encrypted on first unlock
+            this.conversionCache = stored;
+            await this.saveConversions(stored);
+        }
+    }
+
+    // Keep the in-memory copy in step with saves made in other tabs
+    handleConversionStorage(event) {
+        if (!this.currentUser || !this.dataKey || event.key !== this.getConversionsKey(this.currentUser.id)) {
+            return;
+        }
+
+        const stored = event.newValue ? JSON.parse(event.newValue) : null;
+        if (!isEncryptedEnvelope(stored)) {
+            this.conversionCache = stored || [];
+            return;
+        }
+
+        decryptJSON(this.dataKey, stored)
+            .then(conversions => {
+                this.conversionCache = conversions;
+            })
+            .catch(error => console.error('Error loading conversions:', error));
+    }
+
+    // Saved conversions for the signed-in user, or the guest store when nobody is signed in
+    getConversions() {
+        if (!this.currentUser) {
+            return this.getGuestConversions();
+        }
+        return this.conversionCache ? this.conversionCache.slice() : [];
+    }
+
+    // Updates the in-memory copy at once; resolves when the encrypted copy is written
+    saveConversions(conversions) {
+        if (!this.currentUser) {
+            this.saveGuestConversions(conversions);
+            return Promise.resolve();
+        }
+
+        if (!this.dataKey || !this.conversionCache) {
+            throw new Error('Your saved conversions are locked. Please unlock them with your password');
+        }
+
+        this.conversionCache = conversions;
+        const storageKey = this.getConversionsKey(this.currentUser.id);
+        const dataKey = this.dataKey;
+
+        // Writes are chained so an older snapshot never lands after a newer one
+        const write = this.conversionWrite.then(async () => {
+            const envelope = await encryptJSON(dataKey, conversions);
+            localStorage.setItem(storageKey, JSON.stringify({ ...envelope, count: conversions.length }));
+        });
+        this.conversionWrite = write.catch(() => {});
+
+        return write.catch(error => {
+            console.error('Error saving conversions:', error);
+            throw new Error('Failed to save conversion data');
+        });
+    }
+
+    async addConversion(conversion) {
+        const conversions = this.getConversions();
+        conversions.push(conversion);
+        await this.saveConversions(conversions);
+        return conversion;
+    }
+
+    async updateConversion(id, changes) {
+        const conversions = this.getConversions();
+        const index = conversions.findIndex(c => c.id === id);
+        if (index === -1) {
+            throw new Error('Conversion not found');
+        }
+
+        conversions[index] = { ...conversions[index], ...changes, id };
+        await this.saveConversions(conversions);
+        return conversions[index];
+    }
+
+    async removeConversion(id) {
+        const conversions = this.getConversions().filter(c => c.id !== id);
+        await this.saveConversions(conversions);
+        await deleteRecording(id).catch(error => console.error('Error deleting recording:', error));
+        return conversions;
+    }
+
+    getRecordingOwnerId() {
+        return this.currentUser ? this.currentUser.id : GUEST_RECORDING_OWNER;
+    }
+
+    // Audio clips ({ startTime, endTime, mimeType, blob }) for a conversion, encrypted like the history when signed in
+    async saveConversionAudio(conversionId, clips) {
+        if (this.currentUser && !this.dataKey) {
+            throw new Error('Your saved conversions are locked. Please sign in again');
+        }
+
+        const dataKey = this.currentUser ? this.dataKey : null;
+        const storedClips = await Promise.all(clips.map(async ({ blob, ...clip }) => {
+            const bytes = await blob.arrayBuffer();
+            return dataKey
+                ? { ...clip, mimeType: blob.type, ...(await encryptBytes(dataKey, bytes)) }
+                : { ...clip, mimeType: blob.type, data: bytes };
+        }));
+
+        await storeRecording({
+            conversionId,
+            ownerId: this.getRecordingOwnerId(),
+            encrypted: Boolean(dataKey),
+            clips: storedClips
+        });
+    }
+
+    // Clips with playable blobs, or null when the conversion has no audio
+    async getConversionAudio(conversionId, ownerId = this.getRecordingOwnerId()) {
+        const record = await loadRecording(conversionId);
+        if (!record || record.ownerId !== ownerId) {
+            return null;
+        }
+        if (record.encrypted && !this.dataKey) {
+            throw new Error('Your saved conversions are locked. Please sign in again');
+        }
+
+        return Promise.all(record.clips.map(async ({ iv, data, ...clip }) => {
+            const bytes = record.encrypted ? await decryptBytes(this.dataKey, { iv, data }) : data;
+            return { ...clip, blob: new Blob([bytes], { type: clip.mimeType }) };
+        }));
+    }
+
+    // Guest store: { createdAt, expiresAt, conversions }; expired stores are dropped on read
+    loadGuestStore() {
+        try {
+            const store = JSON.parse(localStorage.getItem(GUEST_STORAGE_KEY));
+            if (store && Date.now() >= store.expiresAt) {
+                this.discardGuestData();
+                return null;
+            }
+            return store;
+        } catch (error) {
+            console.error('Error loading guest data:', error);
+            return null;
+        }
+    }
+
+    getGuestConversions() {
+        const store = this.loadGuestStore();
+        return store ? store.conversions : [];
+    }
+
+    saveGuestConversions(conversions) {
+        if (conversions.length === 0) {
+            this.discardGuestData();
+            return;
+        }
+
+        const now = Date.now();
+        const store = this.loadGuestStore() || { createdAt: now, expiresAt: now + GUEST_DATA_LIFETIME };
+        store.conversions = conversions;
+
+        try {
+            localStorage.setItem(GUEST_STORAGE_KEY, JSON.stringify(store));
+        } catch (error) {
+            console.error('Error saving guest data:', error);
+            throw new Error('Failed to save conversion data');
+        }
+    }
+
+    // Summary of pending guest work, or null if there is none
+    getGuestDataInfo() {
+        const store = this.loadGuestStore();
+        if (!store || store.conversions.length === 0) {
+            return null;
+        }
+        return { count: store.conversions.length, expiresAt: store.expiresAt };
+    }
+
+    discardGuestData() {
+        localStorage.removeItem(GUEST_STORAGE_KEY);
+        deleteRecordingsByOwner(GUEST_RECORDING_OWNER)
+            .catch(error => console.error('Error deleting guest recordings:', error));
+    }
+
+    // Move guest conversions into the signed-in user's history; returns how many were added
+    async mergeGuestConversions() {
+        if (!this.currentUser) {
+            throw new Error('No user logged in');
+        }
+
+        const guestConversions = this.getGuestConversions();
+        const conversions = this.getConversions();
+        const existingIds = new Set(conversions.map(c => c.id));
+        const added = guestConversions.filter(c => !existingIds.has(c.id));
+
+        await this.saveConversions(conversions.concat(added).sort((a, b) => a.timestamp - b.timestamp));
+
+        // Guest audio is re-saved under the account (and encrypted) before the guest store goes
+        for (const conversion of added.filter(c => c.hasAudio)) {
+            try {
+                const clips = await this.getConversionAudio(conversion.id, GUEST_RECORDING_OWNER);
+                if (clips) {
+                    await this.saveConversionAudio(conversion.id, clips);
+                }
+            } catch (error) {
+                console.error('Error moving guest recording:', error);
+            }
+        }
+        this.discardGuestData();
+        return added.length;
+    }
+
     // Email validation
     isValidEmail(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         return emailRegex.test(email);
     }
 
-    // Password validation
-    isValidPassword(password) {
-        // At least 6 characters
-        return password && password.length >= 6;
+    // Password validation against the policy (see password-policy.js); context is the user's { name, email }
+    assertPasswordAllowed(password, context = {}) {
+        const error = getPasswordPolicyError(evaluatePassword(password, context, this.passwordPolicy));
+        if (error) {
+            throw new Error(error);
+        }
     }
 
     // Check if email already exists
@@ -63,7 +601,7 @@ class AuthManager {
     }
 
     // Register new user
-    register(userData) {
+    async register(userData) {
         const { name, email, password } = userData;
 
         // Validation
@@ -71,109 +609,673 @@ class AuthManager {
             throw new Error('Name must be at least 2 characters long');
         }
 
-        if (!this.isValidEmail(email)) {
-            throw new Error('Please enter a valid email address');
-        }
+        if (!this.isValidEmail(email)) {
+            throw new Error('Please enter a valid email address');
+        }
+
+        this.assertPasswordAllowed(password, { name, email });
+
+        if (this.emailExists(email)) {
+            throw new Error('An account with this email already exists');
+        }
+
+        // Create new user
+        const newUser = {
+            id: this.generateUserId(),
+            name: name.trim(),
+            email: email.toLowerCase().trim(),
+            password: await this.hashPassword(password),
+            recoveryCodes: [],
+            role: this.users.length === 0 ? 'admin' : 'user',
+            disabled: false,
+            registrationDate: Date.now(),
+            lastLogin: null,
+            preferences: { ...DEFAULT_PREFERENCES }
+        };
+
+        // Recovery codes are shown once and only their hashes are kept
+        const recoveryCodes = generateOneTimeCodes(RECOVERY_CODE_COUNT);
+        newUser.recoveryCodes = await Promise.all(recoveryCodes.map(hashOneTimeCode));
+
+        // Conversions are encrypted with a random key wrapped by the password (and by each recovery code)
+        const dataKey = await generateDataKey();
+        newUser.encryption = await wrapDataKey(dataKey, password);
+        newUser.recoveryKeys = await this.wrapForRecoveryCodes(dataKey, recoveryCodes);
+
+        // Add to users array
+        this.users.push(newUser);
+        this.saveUsers();
+        this.recordAuditEvent(newUser.id, 'register');
+
+        // Log user in automatically
+        const user = await this.openUserSession(newUser, dataKey);
+        return { ...user, recoveryCodes };
+    }
+
+    // Derive a salted PBKDF2 hash record for a password
+    async hashPassword(password, salt = null, iterations = PASSWORD_HASH_ITERATIONS) {
+        if (!salt) {
+            salt = crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+        }
+
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        const derivedBits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            keyMaterial,
+            PASSWORD_HASH_BITS
+        );
+
+        return {
+            algorithm: PASSWORD_HASH_ALGORITHM,
+            iterations,
+            salt: bytesToBase64(salt),
+            hash: bytesToBase64(new Uint8Array(derivedBits))
+        };
+    }
+
+    // Legacy 32-bit string hash, kept only to verify accounts created before PBKDF2
+    legacyHashPassword(password) {
+        let hash = 0;
+        for (let i = 0; i < password.length; i++) {
+            const char = password.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash; // Convert to 32bit integer
+        }
+        return hash.toString();
+    }
+
+    // Check a password against a stored hash record (or a legacy hash string)
+    async verifyPassword(password, storedHash) {
+        if (typeof storedHash === 'string') {
+            return constantTimeEqual(this.legacyHashPassword(password), storedHash);
+        }
+
+        if (!storedHash || storedHash.algorithm !== PASSWORD_HASH_ALGORITHM) {
+            return false;
+        }
+
+        const candidate = await this.hashPassword(
+            password,
+            base64ToBytes(storedHash.salt),
+            storedHash.iterations
+        );
+        return constantTimeEqual(candidate.hash, storedHash.hash);
+    }
+
+    // Stored hashes that are legacy or weaker than the current settings get upgraded on login
+    needsRehash(storedHash) {
+        return typeof storedHash === 'string' ||
+            storedHash.algorithm !== PASSWORD_HASH_ALGORITHM ||
+            storedHash.iterations < PASSWORD_HASH_ITERATIONS;
+    }
+
+    // Login user
+    async login(email, password) {
+        if (!this.isValidEmail(email)) {
+            throw new Error('Please enter a valid email address');
+        }
+
+        if (!password) {
+            throw new Error('Please enter your password');
+        }
+
+        // Refuse attempts while this account or this browser is backing off
+        this.assertLoginAllowed(email);
+
+        // Find user
+        const user = this.users.find(u => u.email.toLowerCase() === email.toLowerCase());
+
+        // Check password (unknown emails go through the same work and the same error)
+        const passwordMatches = await this.verifyPassword(password, user ? user.password : UNKNOWN_ACCOUNT_HASH);
+        if (!user || !passwordMatches) {
+            const lockedUntil = this.recordFailedLogin(email);
+            if (user) {
+                this.recordAuditEvent(user.id, 'login', 'failure', lockedUntil ? 'Incorrect password, sign-in locked' : 'Incorrect password');
+            }
+            if (lockedUntil) {
+                throw new Error(this.formatLockoutMessage(lockedUntil));
+            }
+            throw new Error(GENERIC_LOGIN_ERROR);
+        }
+
+        // Only reported once the password is right, so it does not reveal which emails exist
+        if (user.disabled) {
+            this.recordAuditEvent(user.id, 'login', 'failure', 'Account disabled');
+            throw new Error(DISABLED_ACCOUNT_ERROR);
+        }
+
+        // Transparently upgrade legacy or outdated hashes
+        if (this.needsRehash(user.password)) {
+            user.password = await this.hashPassword(password);
+            this.saveUsers();
+        }
+
+        // The key for saved conversions is only ever unwrapped with the password, held in memory until sign-in completes
+        const dataKey = await this.unlockDataKey(user, password);
+
+        // Accounts with 2FA need a second step before the session is written
+        if (user.twoFactor && user.twoFactor.enabled) {
+            this.pendingTwoFactorLogin = {
+                userId: user.id,
+                email: user.email,
+                dataKey,
+                expiresAt: Date.now() + TWO_FACTOR_LOGIN_TIMEOUT
+            };
+            return { twoFactorRequired: true };
+        }
+
+        this.clearFailedLogins(email);
+        return this.completeSignIn(user, dataKey);
+    }
+
+    // Accounts pending deletion are offered a restore, and accounts flagged by an admin must
+    // choose a new password, before the session is written
+    async completeSignIn(user, dataKey) {
+        if (user.deletionScheduledAt) {
+            this.pendingAccountRestore = {
+                userId: user.id,
+                dataKey,
+                expiresAt: Date.now() + TWO_FACTOR_LOGIN_TIMEOUT
+            };
+            return { deletionPending: true, deletionScheduledAt: user.deletionScheduledAt };
+        }
+
+        if (user.passwordResetRequired) {
+            this.pendingPasswordReset = {
+                userId: user.id,
+                dataKey,
+                expiresAt: Date.now() + TWO_FACTOR_LOGIN_TIMEOUT
+            };
+            return { passwordResetRequired: true };
+        }
+        return this.finishLogin(user, dataKey);
+    }
+
+    async completePasswordReset(newPassword) {
+        const pending = this.pendingPasswordReset;
+        if (!pending || Date.now() > pending.expiresAt) {
+            this.pendingPasswordReset = null;
+            throw new Error('Your sign-in attempt has expired. Please sign in again');
+        }
+
+        const user = this.users.find(u => u.id === pending.userId);
+        if (!user) {
+            this.pendingPasswordReset = null;
+            throw new Error('User not found');
+        }
+
+        this.assertPasswordAllowed(newPassword, user);
+
+        if (await this.verifyPassword(newPassword, user.password)) {
+            throw new Error('Please choose a different password from your current one');
+        }
+
+        user.password = await this.hashPassword(newPassword);
+        user.encryption = await wrapDataKey(pending.dataKey, newPassword);
+        user.passwordResetRequired = false;
+        this.pendingPasswordReset = null;
+        this.recordAuditEvent(user.id, 'changePassword', 'success', 'Reset required by an administrator');
+        return this.finishLogin(user, pending.dataKey);
+    }
+
+    cancelPasswordReset() {
+        this.pendingPasswordReset = null;
+    }
+
+    // Cancel a scheduled deletion for the account that just signed in
+    async restoreAccount() {
+        const pending = this.pendingAccountRestore;
+        this.pendingAccountRestore = null;
+        if (!pending || Date.now() > pending.expiresAt) {
+            throw new Error('Your sign-in attempt has expired. Please sign in again');
+        }
+
+        const user = this.users.find(u => u.id === pending.userId);
+        if (!user || !user.deletionScheduledAt) {
+            throw new Error('User not found');
+        }
+
+        delete user.deletionScheduledAt;
+        this.saveUsers();
+        this.recordAuditEvent(user.id, 'restoreAccount');
+        return this.completeSignIn(user, pending.dataKey);
+    }
+
+    cancelAccountRestore() {
+        this.pendingAccountRestore = null;
+    }
+
+    async finishLogin(user, dataKey) {
+        // Update last login
+        user.lastLogin = Date.now();
+        this.saveUsers();
+        this.recordAuditEvent(user.id, 'login');
+
+        // Set current user (without password) and start a session
+        return this.openUserSession(user, dataKey);
+    }
+
+    // Second login step: authenticator code or a backup code
+    async completeTwoFactorLogin(code) {
+        const pending = this.pendingTwoFactorLogin;
+        if (!pending || Date.now() > pending.expiresAt) {
+            this.pendingTwoFactorLogin = null;
+            throw new Error('Your sign-in attempt has expired. Please sign in again');
+        }
+
+        if (!code || !String(code).trim()) {
+            throw new Error('Please enter your authentication code');
+        }
+
+        this.assertLoginAllowed(pending.email);
+
+        const user = this.users.find(u => u.id === pending.userId);
+        const valid = user ? await this.verifySecondFactor(user, code) : false;
+        if (!valid) {
+            const lockedUntil = this.recordFailedLogin(pending.email);
+            if (user) {
+                this.recordAuditEvent(user.id, 'login', 'failure', 'Invalid authentication code');
+            }
+            if (lockedUntil) {
+                this.pendingTwoFactorLogin = null;
+                throw new Error(this.formatLockoutMessage(lockedUntil));
+            }
+            throw new Error('Invalid authentication code');
+        }
+
+        this.pendingTwoFactorLogin = null;
+        this.clearFailedLogins(pending.email);
+        return this.completeSignIn(user, pending.dataKey);
+    }
+
+    cancelTwoFactorLogin() {
+        this.pendingTwoFactorLogin = null;
+    }
+
+    // Accepts a current TOTP code (never the same one twice) or an unused backup code
+    async verifySecondFactor(user, code) {
+        const normalized = normalizeOneTimeCode(code);
+
+        if (/^\d{6}$/.test(normalized)) {
+            const counter = await verifyTOTP(user.twoFactor.secret, normalized, {
+                afterCounter: user.twoFactor.lastUsedCounter
+            });
+            if (counter === null) {
+                return false;
+            }
+            user.twoFactor.lastUsedCounter = counter;
+            this.saveUsers();
+            return true;
+        }
+
+        const codeHash = await hashOneTimeCode(normalized);
+        const index = user.twoFactor.backupCodes.findIndex(stored => constantTimeEqual(stored, codeHash));
+        if (index === -1) {
+            return false;
+        }
+        user.twoFactor.backupCodes.splice(index, 1);
+        this.saveUsers();
+        return true;
+    }
+
+    // Start 2FA enrollment: returns the secret and otpauth:// URI to show as a QR code
+    beginTwoFactorSetup() {
+        const user = this.getCurrentUserRecord();
+        if (user.twoFactor && user.twoFactor.enabled) {
+            throw new Error('Two-factor authentication is already enabled');
+        }
+
+        const secret = generateTOTPSecret();
+        user.twoFactorPending = { secret, createdAt: Date.now() };
+        this.saveUsers();
+
+        return {
+            secret,
+            uri: buildOtpauthUri({ secret, account: user.email })
+        };
+    }
+
+    // Finish enrollment with a first code; returns backup codes to show once
+    async confirmTwoFactorSetup(code) {
+        const user = this.getCurrentUserRecord();
+        if (!user.twoFactorPending) {
+            throw new Error('Start two-factor setup first');
+        }
+
+        const counter = await verifyTOTP(user.twoFactorPending.secret, normalizeOneTimeCode(code));
+        if (counter === null) {
+            throw new Error('That code is not valid. Check the time on your device and try again');
+        }
+
+        const backupCodes = generateOneTimeCodes(BACKUP_CODE_COUNT);
+        user.twoFactor = {
+            enabled: true,
+            secret: user.twoFactorPending.secret,
+            lastUsedCounter: counter,
+            enabledAt: Date.now(),
+            backupCodes: await Promise.all(backupCodes.map(hashOneTimeCode))
+        };
+        delete user.twoFactorPending;
+        this.saveUsers();
+        this.refreshCurrentUser(user);
+
+        return backupCodes;
+    }
+
+    async disableTwoFactor(currentPassword) {
+        const user = this.getCurrentUserRecord();
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            throw new Error('Two-factor authentication is not enabled');
+        }
+
+        const passwordMatches = await this.verifyPassword(currentPassword || '', user.password);
+        if (!passwordMatches) {
+            throw new Error('Current password is incorrect');
+        }
+
+        delete user.twoFactor;
+        delete user.twoFactorPending;
+        this.saveUsers();
+        this.refreshCurrentUser(user);
+
+        return true;
+    }
+
+    getTwoFactorStatus() {
+        const user = this.getCurrentUserRecord();
+        const enabled = Boolean(user.twoFactor && user.twoFactor.enabled);
+        return {
+            enabled,
+            enabledAt: enabled ? user.twoFactor.enabledAt : null,
+            backupCodesRemaining: enabled ? user.twoFactor.backupCodes.length : 0
+        };
+    }
+
+    // Reset a forgotten password with a recovery code; the code is used up
+    async recoverAccount(email, recoveryCode, newPassword) {
+        if (!this.isValidEmail(email)) {
+            throw new Error('Please enter a valid email address');
+        }
+
+        if (!recoveryCode || !String(recoveryCode).trim()) {
+            throw new Error('Please enter one of your recovery codes');
+        }
+
+        // The name check waits until the code is verified, so errors never reveal whose account this is
+        this.assertPasswordAllowed(newPassword, { email });
+
+        // Guessing recovery codes counts against the same limits as passwords
+        this.assertLoginAllowed(email);
+
+        const user = this.users.find(u => u.email.toLowerCase() === email.toLowerCase());
+        const codeHash = await hashOneTimeCode(recoveryCode);
+        const storedCodes = (user && user.recoveryCodes) || [];
+        const index = storedCodes.findIndex(stored => constantTimeEqual(stored, codeHash));
+
+        if (!user || index === -1) {
+            const lockedUntil = this.recordFailedLogin(email);
+            if (lockedUntil) {
+                throw new Error(this.formatLockoutMessage(lockedUntil));
+            }
+            throw new Error(GENERIC_RECOVERY_ERROR);
+        }
+
+        this.assertPasswordAllowed(newPassword, user);
+
+        // The matching code also unwraps the conversions key
+        const recoveryKeys = user.recoveryKeys || [];
+        let dataKey = null;
+        if (recoveryKeys[index]) {
+            dataKey = await unwrapDataKey(recoveryKeys[index], normalizeOneTimeCode(recoveryCode));
+        }
+
+        // Codes issued before encryption cannot unlock the old history, so it starts over
+        let conversionsReset = false;
+        if (!dataKey && user.encryption) {
+            dataKey = await generateDataKey();
+            localStorage.removeItem(this.getConversionsKey(user.id));
+            conversionsReset = true;
+        }
+
+        storedCodes.splice(index, 1);
+        recoveryKeys.splice(index, 1);
+        user.password = await this.hashPassword(newPassword);
+        if (dataKey) {
+            user.encryption = await wrapDataKey(dataKey, newPassword);
+        }
+        user.passwordResetRequired = false;
+        this.saveUsers();
+        this.recordAuditEvent(user.id, 'changePassword', 'success', 'Reset with a recovery code');
+        this.clearFailedLogins(user.email);
+
+        return { recoveryCodesRemaining: storedCodes.length, conversionsReset };
+    }
+
+    // Replace all recovery codes; returns the new codes to show once
+    async regenerateRecoveryCodes(currentPassword) {
+        const user = this.getCurrentUserRecord();
+
+        const passwordMatches = await this.verifyPassword(currentPassword || '', user.password);
+        if (!passwordMatches) {
+            throw new Error('Current password is incorrect');
+        }
+
+        const dataKey = await this.unlockDataKey(user, currentPassword);
+        const recoveryCodes = generateOneTimeCodes(RECOVERY_CODE_COUNT);
+        user.recoveryCodes = await Promise.all(recoveryCodes.map(hashOneTimeCode));
+        user.recoveryKeys = await this.wrapForRecoveryCodes(dataKey, recoveryCodes);
+        this.saveUsers();
+
+        return recoveryCodes;
+    }
+
+    getRecoveryCodesRemaining() {
+        const user = this.getCurrentUserRecord();
+        return (user.recoveryCodes || []).length;
+    }
+
+    // Codes issued before encryption reset the password but cannot unlock saved conversions
+    recoveryCodesUnlockConversions() {
+        const user = this.getCurrentUserRecord();
+        const codes = user.recoveryCodes || [];
+        const keys = user.recoveryKeys || [];
+        return codes.length === keys.length;
+    }
+
+    // Stored record for the signed-in user
+    getCurrentUserRecord() {
+        if (!this.currentUser) {
+            throw new Error('No user logged in');
+        }
+
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        return user;
+    }
+
+    // Re-sync the session copy after the stored record changed
+    refreshCurrentUser(user) {
+        this.currentUser = this.toSessionUser(user);
+        localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+        return this.currentUser;
+    }
+
+    // Failed login bookkeeping, kept outside the users record so unknown emails are tracked too
+    loadLoginAttempts() {
+        try {
+            const attempts = JSON.parse(localStorage.getItem('loginAttempts')) || {};
+            return { accounts: attempts.accounts || {}, browser: attempts.browser || null };
+        } catch (error) {
+            console.error('Error loading login attempts:', error);
+            return { accounts: {}, browser: null };
+        }
+    }
+
+    saveLoginAttempts(attempts) {
+        localStorage.setItem('loginAttempts', JSON.stringify(attempts));
+    }
+
+    // Earliest time another attempt is allowed for a counter entry
+    getNextAttemptTime(entry) {
+        if (!entry || !entry.failures) {
+            return 0;
+        }
+
+        if (entry.lockedUntil) {
+            return entry.lockedUntil;
+        }
+
+        const { baseDelay, maxDelay } = this.loginThrottle;
+        const delay = Math.min(baseDelay * Math.pow(2, entry.failures - 1), maxDelay);
+        return entry.lastFailure + delay;
+    }
+
+    // Counter entry with failures outside the window dropped; a lockout counts until it expires, then starts over
+    pruneLoginEntry(entry, now = Date.now()) {
+        if (!entry) {
+            return null;
+        }
+        if (entry.lockedUntil) {
+            return entry.lockedUntil > now ? entry : null;
+        }
+
+        const failureTimes = (entry.failureTimes || []).filter(time => now - time < this.loginThrottle.failureWindow);
+        return failureTimes.length > 0
+            ? { failures: failureTimes.length, failureTimes, lastFailure: failureTimes[failureTimes.length - 1], lockedUntil: null }
+            : null;
+    }
+
+    // Lockout/back-off status for an email, e.g. for showing when it unlocks
+    getLoginStatus(email) {
+        const attempts = this.loadLoginAttempts();
+        const entry = this.pruneLoginEntry(attempts.accounts[email.toLowerCase().trim()]);
+        const browser = this.pruneLoginEntry(attempts.browser);
+        const nextAttemptAt = Math.max(this.getNextAttemptTime(entry), this.getNextAttemptTime(browser));
+        const lockedUntil = [entry, browser]
+            .map(e => (e && e.lockedUntil) || 0)
+            .reduce((a, b) => Math.max(a, b), 0);
+
+        return {
+            failures: entry ? entry.failures : 0,
+            locked: lockedUntil > Date.now(),
+            lockedUntil: lockedUntil > Date.now() ? lockedUntil : null,
+            nextAttemptAt: nextAttemptAt > Date.now() ? nextAttemptAt : null
+        };
+    }
+
+    assertLoginAllowed(email) {
+        const status = this.getLoginStatus(email);
 
-        if (!this.isValidPassword(password)) {
-            throw new Error('Password must be at least 6 characters long');
+        if (status.locked) {
+            throw new Error(this.formatLockoutMessage(status.lockedUntil));
         }
 
-        if (this.emailExists(email)) {
-            throw new Error('An account with this email already exists');
+        if (status.nextAttemptAt) {
+            const seconds = Math.ceil((status.nextAttemptAt - Date.now()) / 1000);
+            throw new Error(`Too many failed attempts. Please wait ${seconds} second${seconds === 1 ? '' : 's'} and try again`);
         }
+    }
 
-        // Create new user
-        const newUser = {
-            id: this.generateUserId(),
-            name: name.trim(),
-            email: email.toLowerCase().trim(),
-            password: this.hashPassword(password), // Simple hash for demo
-            registrationDate: Date.now(),
-            lastLogin: null,
-            preferences: {
-                theme: 'dark',
-                defaultLanguage: 'en-US',
-                autoSave: true
+    // Returns the lockout expiry if this failure triggered (or extends) a lockout
+    recordFailedLogin(email) {
+        const attempts = this.loadLoginAttempts();
+        const key = email.toLowerCase().trim();
+        const now = Date.now();
+
+        const bump = (entry) => {
+            const current = this.pruneLoginEntry(entry, now);
+            const failureTimes = [...(current ? current.failureTimes || [] : []), now];
+            const updated = {
+                failures: failureTimes.length,
+                failureTimes,
+                lastFailure: now,
+                lockedUntil: current ? current.lockedUntil : null
+            };
+
+            if (updated.failures >= this.loginThrottle.maxAttempts) {
+                updated.lockedUntil = now + this.loginThrottle.lockoutDuration;
             }
+            return updated;
         };
 
-        // Add to users array
-        this.users.push(newUser);
-        this.saveUsers();
-
-        // Log user in automatically
-        this.currentUser = { ...newUser };
-        delete this.currentUser.password; // Don't store password in session
-        localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+        attempts.accounts[key] = bump(attempts.accounts[key]);
+        attempts.browser = bump(attempts.browser);
+        this.saveLoginAttempts(attempts);
 
-        return this.currentUser;
+        return attempts.accounts[key].lockedUntil || attempts.browser.lockedUntil || null;
     }
 
-    // Simple password hashing (for demo purposes)
-    hashPassword(password) {
-        // In a real application, use proper hashing like bcrypt
-        let hash = 0;
-        for (let i = 0; i < password.length; i++) {
-            const char = password.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32bit integer
-        }
-        return hash.toString();
+    clearFailedLogins(email) {
+        const attempts = this.loadLoginAttempts();
+        delete attempts.accounts[email.toLowerCase().trim()];
+        attempts.browser = null;
+        this.saveLoginAttempts(attempts);
     }
 
-    // Login user
-    login(email, password) {
-        if (!this.isValidEmail(email)) {
-            throw new Error('Please enter a valid email address');
-        }
+    formatLockoutMessage(lockedUntil) {
+        const unlockTime = new Date(lockedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `Too many failed attempts. Sign-in is locked until ${unlockTime}`;
+    }
 
-        if (!password) {
-            throw new Error('Please enter your password');
-        }
+    getAuditLogKey(userId) {
+        return `auditLog_${userId}`;
+    }
 
-        // Find user
-        const user = this.users.find(u => u.email.toLowerCase() === email.toLowerCase());
-        
-        if (!user) {
-            throw new Error('No account found with this email address');
+    loadAuditLog(userId) {
+        try {
+            return JSON.parse(localStorage.getItem(this.getAuditLogKey(userId))) || [];
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            return [];
         }
+    }
 
-        // Check password
-        const hashedPassword = this.hashPassword(password);
-        if (user.password !== hashedPassword) {
-            throw new Error('Incorrect password');
+    // Append-only: entries are never edited, only dropped from the front once the cap is reached
+    recordAuditEvent(userId, type, outcome = 'success', detail = '') {
+        const entry = {
+            timestamp: Date.now(),
+            type,
+            outcome,
+            userAgent: navigator.userAgent
+        };
+        if (detail) {
+            entry.detail = detail;
         }
 
-        // Update last login
-        user.lastLogin = Date.now();
-        this.saveUsers();
+        const log = this.loadAuditLog(userId);
+        log.push(entry);
 
-        // Set current user (without password)
-        this.currentUser = { ...user };
-        delete this.currentUser.password;
-        localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+        try {
+            localStorage.setItem(this.getAuditLogKey(userId), JSON.stringify(log.slice(-AUDIT_LOG_LIMIT)));
+        } catch (error) {
+            // Never let logging break the action being logged
+            console.error('Error saving audit log:', error);
+        }
+        return entry;
+    }
 
-        return this.currentUser;
+    // Audit log of the signed-in user, newest first
+    getAuditLog() {
+        if (!this.currentUser) {
+            throw new Error('No user logged in');
+        }
+        return this.loadAuditLog(this.currentUser.id).reverse();
     }
 
-    // Logout user
+    // Logout user (signs out every open tab)
     logout() {
-        this.currentUser = null;
-        localStorage.removeItem('currentUser');
-        
-        // Clear any user-specific data from session
-        const keysToRemove = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('temp_')) {
-                keysToRemove.push(key);
-            }
+        if (this.currentUser) {
+            this.recordAuditEvent(this.currentUser.id, 'logout');
         }
-        keysToRemove.forEach(key => localStorage.removeItem(key));
-
-        // Redirect to login page
-        window.location.href = 'login.html';
+        sessionManager.end('logout');
     }
 
     // Get current user
@@ -183,7 +1285,7 @@ class AuthManager {
 
     // Check if user is authenticated
     isAuthenticated() {
-        return this.currentUser !== null;
+        return this.currentUser !== null && sessionManager.isValid(this.currentUser.id);
     }
 
     // Update user profile
@@ -220,9 +1322,18 @@ class AuthManager {
         }
 
         // Update user data
+        const changedFields = [];
+        if (this.users[userIndex].name !== name.trim()) {
+            changedFields.push('name');
+        }
+        if (this.users[userIndex].email !== email.toLowerCase().trim()) {
+            changedFields.push('email');
+        }
+
         this.users[userIndex].name = name.trim();
         this.users[userIndex].email = email.toLowerCase().trim();
         this.saveUsers();
+        this.recordAuditEvent(this.currentUser.id, 'updateProfile', 'success', changedFields.length ? `Changed ${changedFields.join(' and ')}` : '');
 
         // Update current user session
         this.currentUser.name = name.trim();
@@ -232,6 +1343,96 @@ class AuthManager {
         return this.currentUser;
     }
 
+    // Current preferences, with defaults for settings added after the account was created
+    getPreferences() {
+        const stored = this.currentUser ? this.currentUser.preferences : null;
+        return { ...DEFAULT_PREFERENCES, ...(stored || {}) };
+    }
+
+    // Validate and clamp preference values; unknown keys are dropped
+    normalizePreferences(preferences) {
+        const normalized = {};
+        const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+        if (preferences.theme !== undefined) {
+            if (!AVAILABLE_THEMES.includes(preferences.theme)) {
+                throw new Error('Unknown theme');
+            }
+            normalized.theme = preferences.theme;
+        }
+
+        if (preferences.defaultLanguage !== undefined) {
+            if (!/^[a-z]{2,3}(-[A-Z]{2})?$/.test(preferences.defaultLanguage)) {
+                throw new Error('Invalid recognition language');
+            }
+            normalized.defaultLanguage = preferences.defaultLanguage;
+        }
+
+        if (preferences.speechEngine !== undefined) {
+            if (!AVAILABLE_SPEECH_ENGINES.includes(preferences.speechEngine)) {
+                throw new Error('Unknown speech engine');
+            }
+            normalized.speechEngine = preferences.speechEngine;
+        }
+
+        if (preferences.defaultVoice !== undefined) {
+            normalized.defaultVoice = String(preferences.defaultVoice);
+        }
+
+        const ranges = { rate: [0.5, 2], pitch: [0, 2], volume: [0, 1] };
+        Object.entries(ranges).forEach(([key, [min, max]]) => {
+            if (preferences[key] !== undefined) {
+                const value = parseFloat(preferences[key]);
+                if (Number.isNaN(value)) {
+                    throw new Error(`Invalid ${key} value`);
+                }
+                normalized[key] = clamp(value, min, max);
+            }
+        });
+
+        if (preferences.autoSave !== undefined) {
+            normalized.autoSave = Boolean(preferences.autoSave);
+        }
+
+        if (preferences.dictationCommands !== undefined) {
+            // The same checks as the command list editor (dictation.js)
+            normalized.dictationCommands = normalizeDictationCommands(preferences.dictationCommands);
+        }
+
+        if (preferences.vocabulary !== undefined) {
+            // The same checks as the vocabulary editor (vocabulary.js), so storage accepts exactly what it does
+            normalized.vocabulary = normalizeVocabularyRules(preferences.vocabulary);
+        }
+
+        if (preferences.transcriptFormatting !== undefined) {
+            // Stages left out of the update keep the user's stored setting
+            const stored = this.currentUser && this.currentUser.preferences && this.currentUser.preferences.transcriptFormatting;
+            const formatting = { ...DEFAULT_PREFERENCES.transcriptFormatting, ...(stored || {}) };
+            ['capitalize', 'punctuateOnPause', 'collapseWhitespace', 'formatNumbers'].forEach(stage => {
+                if (preferences.transcriptFormatting[stage] !== undefined) {
+                    formatting[stage] = Boolean(preferences.transcriptFormatting[stage]);
+                }
+            });
+
+            const { dateStyle, timeStyle } = preferences.transcriptFormatting;
+            if (dateStyle !== undefined) {
+                if (!['long', 'iso', 'us', 'uk'].includes(dateStyle)) {
+                    throw new Error('Unknown date style');
+                }
+                formatting.dateStyle = dateStyle;
+            }
+            if (timeStyle !== undefined) {
+                if (!['12h', '24h'].includes(timeStyle)) {
+                    throw new Error('Unknown time style');
+                }
+                formatting.timeStyle = timeStyle;
+            }
+            normalized.transcriptFormatting = formatting;
+        }
+
+        return normalized;
+    }
+
     // Update user preferences
     updatePreferences(preferences) {
         if (!this.currentUser) {
@@ -245,10 +1446,12 @@ class AuthManager {
 
         // Update preferences
         this.users[userIndex].preferences = {
+            ...DEFAULT_PREFERENCES,
             ...this.users[userIndex].preferences,
-            ...preferences
+            ...this.normalizePreferences(preferences)
         };
         this.saveUsers();
+        this.recordAuditEvent(this.currentUser.id, 'updatePreferences');
 
         // Update current user session
         this.currentUser.preferences = this.users[userIndex].preferences;
@@ -257,14 +1460,37 @@ class AuthManager {
         return this.currentUser.preferences;
     }
 
+    // Add to the fire counts of vocabulary rules; hits maps rule id to count. Not audited, it runs after every session
+    recordVocabularyHits(hits) {
+        if (!this.currentUser) {
+            return;
+        }
+
+        // Another tab may have edited the rules since this page loaded
+        this.users = this.loadUsers();
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        if (!user || !user.preferences || !Array.isArray(user.preferences.vocabulary)) {
+            return;
+        }
+
+        user.preferences.vocabulary = user.preferences.vocabulary.map(rule =>
+            hits[rule.id] ? { ...rule, hits: rule.hits + hits[rule.id] } : rule
+        );
+        this.saveUsers();
+
+        this.currentUser.preferences = user.preferences;
+        localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+    }
+
     // Get user statistics
     getUserStats() {
         if (!this.currentUser) {
             return null;
         }
 
-        const conversions = JSON.parse(localStorage.getItem(`conversions_${this.currentUser.email}`)) || [];
-        
+        const conversions = this.getConversions();
+
+
         return {
             totalConversions: conversions.length,
             speechToText: conversions.filter(c => c.type === 'stt').length,
@@ -274,129 +1500,384 @@ class AuthManager {
         };
     }
 
-    // Delete user account
+    // Schedule the signed-in account for deletion and sign out; returns the purge date
     deleteAccount() {
-        if (!this.currentUser) {
-            throw new Error('No user logged in');
-        }
+        const user = this.getCurrentUserRecord();
+
+        user.deletionScheduledAt = Date.now() + this.deletionGracePeriod;
+        this.saveUsers();
+        this.recordAuditEvent(user.id, 'deleteAccount', 'success', `Scheduled for ${new Date(user.deletionScheduledAt).toLocaleDateString()}`);
+
+        sessionManager.end('deleted');
+        return user.deletionScheduledAt;
+    }
 
-        // Remove user from users array
-        this.users = this.users.filter(u => u.id !== this.currentUser.id);
+    // Permanently remove a user record and everything stored for it
+    purgeUser(user) {
+        this.users = this.users.filter(u => u.id !== user.id);
         this.saveUsers();
 
-        // Remove user's conversions
-        localStorage.removeItem(`conversions_${this.currentUser.email}`);
+        localStorage.removeItem(this.getConversionsKey(user.id));
+        localStorage.removeItem(this.getAuditLogKey(user.id));
+        deleteRecordingsByOwner(user.id).catch(error => console.error('Error deleting recordings:', error));
+
+        const attempts = this.loadLoginAttempts();
+        delete attempts.accounts[user.email.toLowerCase()];
+        this.saveLoginAttempts(attempts);
+    }
 
-        // Logout
-        this.logout();
+    // Runs on every app load; accounts whose grace period has ended are deleted for good
+    purgeExpiredAccounts() {
+        const now = Date.now();
+        this.users
+            .filter(user => user.deletionScheduledAt && user.deletionScheduledAt <= now)
+            .forEach(user => this.purgeUser(user));
     }
 
     // Password change
-    changePassword(currentPassword, newPassword) {
+    async changePassword(currentPassword, newPassword) {
         if (!this.currentUser) {
             throw new Error('No user logged in');
         }
 
-        if (!this.isValidPassword(newPassword)) {
-            throw new Error('New password must be at least 6 characters long');
-        }
-
         // Find user
         const userIndex = this.users.findIndex(u => u.id === this.currentUser.id);
         if (userIndex === -1) {
             throw new Error('User not found');
         }
 
-        // Verify current password
-        const hashedCurrentPassword = this.hashPassword(currentPassword);
-        if (this.users[userIndex].password !== hashedCurrentPassword) {
-            throw new Error('Current password is incorrect');
-        }
+        this.assertPasswordAllowed(newPassword, this.users[userIndex]);
+
+        // Verify current password
+        const currentMatches = await this.verifyPassword(currentPassword, this.users[userIndex].password);
+        if (!currentMatches) {
+            this.recordAuditEvent(this.currentUser.id, 'changePassword', 'failure', 'Current password incorrect');
+            throw new Error('Current password is incorrect');
+        }
+
+        // Update password and re-wrap the conversions key under it
+        const dataKey = await this.unlockDataKey(this.users[userIndex], currentPassword);
+        this.users[userIndex].password = await this.hashPassword(newPassword);
+        this.users[userIndex].encryption = await wrapDataKey(dataKey, newPassword);
+        this.users[userIndex].passwordResetRequired = false;
+        this.saveUsers();
+        this.clearFailedLogins(this.users[userIndex].email);
+        this.recordAuditEvent(this.currentUser.id, 'changePassword');
+
+        return true;
+    }
+
+    isAdmin() {
+        if (!this.currentUser) {
+            return false;
+        }
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        return Boolean(user && user.role === 'admin' && !user.disabled);
+    }
+
+    assertAdmin() {
+        if (!this.isAdmin()) {
+            throw new Error('Administrator access required');
+        }
+    }
+
+    // Admin actions never target the signed-in admin, so there is always an admin left
+    getManagedUser(userId) {
+        this.assertAdmin();
+
+        if (userId === this.currentUser.id) {
+            throw new Error('You cannot change your own account from the admin console');
+        }
+
+        const user = this.users.find(u => u.id === userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        return user;
+    }
+
+    // Get all users with account status and conversion counts (admins only)
+    getAllUsers() {
+        this.assertAdmin();
+
+        return this.users.map(user => {
+            // Other users' conversions are encrypted; the envelope carries only a count
+            let conversionCount = 0;
+            try {
+                const stored = JSON.parse(localStorage.getItem(this.getConversionsKey(user.id)));
+                conversionCount = isEncryptedEnvelope(stored) ? stored.count : (stored || []).length;
+            } catch (error) {
+                console.error('Error loading conversions:', error);
+            }
+
+            return {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                disabled: Boolean(user.disabled),
+                passwordResetRequired: Boolean(user.passwordResetRequired),
+                deletionScheduledAt: user.deletionScheduledAt || null,
+                registrationDate: user.registrationDate,
+                lastLogin: user.lastLogin,
+                conversionCount
+            };
+        });
+    }
+
+    // Admin actions go in the affected user's audit log and in the admin's own
+    recordAdminAction(user, type, detail) {
+        this.recordAuditEvent(user.id, type, 'success', `By ${this.currentUser.email}`);
+        this.recordAuditEvent(this.currentUser.id, 'adminAction', 'success', `${detail} ${user.email}`);
+    }
+
+    // Disabling also revokes the sessions the user already has
+    setUserDisabled(userId, disabled) {
+        const user = this.getManagedUser(userId);
+        user.disabled = Boolean(disabled);
+        if (user.disabled) {
+            user.sessionsRevokedAt = Date.now();
+        }
+        this.saveUsers();
+        this.recordAdminAction(user, user.disabled ? 'accountDisabled' : 'accountEnabled', user.disabled ? 'Disabled' : 'Enabled');
+        return true;
+    }
+
+    // The user must pick a new password at their next sign-in
+    requirePasswordReset(userId) {
+        const user = this.getManagedUser(userId);
+        user.passwordResetRequired = true;
+        this.saveUsers();
+        this.recordAdminAction(user, 'passwordResetRequired', 'Required a password reset for');
+        return true;
+    }
+
+    // Admin deletion is immediate, without the grace period. The user's own log goes with the
+    // account, so only the admin's log keeps the record
+    deleteUser(userId) {
+        const user = this.getManagedUser(userId);
+        this.purgeUser(user);
+        this.recordAuditEvent(this.currentUser.id, 'adminAction', 'success', `Deleted ${user.email}`);
+        return true;
+    }
+}
+
+// Initialize auth manager
+const authManager = new AuthManager();
+
+// Global authentication functions
+async function register(userData) {
+    try {
+        return await authManager.register(userData);
+    } catch (error) {
+        console.error('Registration error:', error);
+        throw error;
+    }
+}
+
+async function login(email, password) {
+    try {
+        return await authManager.login(email, password);
+    } catch (error) {
+        console.error('Login error:', error);
+        throw error;
+    }
+}
+
+async function completeTwoFactorLogin(code) {
+    try {
+        return await authManager.completeTwoFactorLogin(code);
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        throw error;
+    }
+}
+
+async function restoreAccount() {
+    try {
+        return await authManager.restoreAccount();
+    } catch (error) {
+        console.error('Account restore error:', error);
+        throw error;
+    }
+}
+
+async function completePasswordReset(newPassword) {
+    try {
+        return await authManager.completePasswordReset(newPassword);
+    } catch (error) {
+        console.error('Password reset error:', error);
+        throw error;
+    }
+}
+
+async function recoverAccount(email, recoveryCode, newPassword) {
+    try {
+        return await authManager.recoverAccount(email, recoveryCode, newPassword);
+    } catch (error) {
+        console.error('Account recovery error:', error);
+        throw error;
+    }
+}
+
+function logout() {
+    authManager.logout();
+}
+
+function getCurrentUser() {
+    return authManager.getCurrentUser();
+}
+
+function isAuthenticated() {
+    return authManager.isAuthenticated();
+}
+
+function updateProfile(userData) {
+    try {
+        return authManager.updateProfile(userData);
+    } catch (error) {
+        console.error('Profile update error:', error);
+        throw error;
+    }
+}
+
+function updatePreferences(preferences) {
+    try {
+        return authManager.updatePreferences(preferences);
+    } catch (error) {
+        console.error('Preferences update error:', error);
+        throw error;
+    }
+}
+
+function getPreferences() {
+    return authManager.getPreferences();
+}
+
+function recordVocabularyHits(hits) {
+    authManager.recordVocabularyHits(hits);
+}
+
+// Apply the theme preference to the current page (high contrast layers on the dark theme)
+function applyThemePreference() {
+    const { theme } = getPreferences();
+    document.body.classList.toggle('high-contrast-theme', theme === 'high-contrast');
+}
+
+function getAuditLog() {
+    return authManager.getAuditLog();
+}
+
+function getUserStats() {
+    return authManager.getUserStats();
+}
 
-        // Update password
-        this.users[userIndex].password = this.hashPassword(newPassword);
-        this.saveUsers();
+function getConversions() {
+    return authManager.getConversions();
+}
 
-        return true;
+async function addConversion(conversion) {
+    try {
+        return await authManager.addConversion(conversion);
+    } catch (error) {
+        console.error('Conversion save error:', error);
+        throw error;
     }
+}
 
-    // Get all users (admin function - for demo purposes)
-    getAllUsers() {
-        return this.users.map(user => ({
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            registrationDate: user.registrationDate,
-            lastLogin: user.lastLogin
-        }));
+async function updateConversion(id, changes) {
+    try {
+        return await authManager.updateConversion(id, changes);
+    } catch (error) {
+        console.error('Conversion update error:', error);
+        throw error;
     }
 }
 
-// Initialize auth manager
-const authManager = new AuthManager();
-
-// Global authentication functions
-function register(userData) {
+async function removeConversion(id) {
     try {
-        return authManager.register(userData);
+        return await authManager.removeConversion(id);
     } catch (error) {
-        console.error('Registration error:', error);
+        console.error('Conversion delete error:', error);
         throw error;
     }
 }
 
-function login(email, password) {
+async function saveConversionAudio(conversionId, clips) {
     try {
-        return authManager.login(email, password);
+        return await authManager.saveConversionAudio(conversionId, clips);
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('Recording save error:', error);
         throw error;
     }
 }
 
-function logout() {
-    authManager.logout();
+async function getConversionAudio(conversionId) {
+    try {
+        return await authManager.getConversionAudio(conversionId);
+    } catch (error) {
+        console.error('Recording load error:', error);
+        throw error;
+    }
 }
 
-function getCurrentUser() {
-    return authManager.getCurrentUser();
+async function changePassword(currentPassword, newPassword) {
+    try {
+        return await authManager.changePassword(currentPassword, newPassword);
+    } catch (error) {
+        console.error('Password change error:', error);
+        throw error;
+    }
 }
 
-function isAuthenticated() {
-    return authManager.isAuthenticated();
+function beginTwoFactorSetup() {
+    try {
+        return authManager.beginTwoFactorSetup();
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        throw error;
+    }
 }
 
-function updateProfile(userData) {
+async function confirmTwoFactorSetup(code) {
     try {
-        return authManager.updateProfile(userData);
+        return await authManager.confirmTwoFactorSetup(code);
     } catch (error) {
-        console.error('Profile update error:', error);
+        console.error('Two-factor setup error:', error);
         throw error;
     }
 }
 
-function updatePreferences(preferences) {
+async function disableTwoFactor(currentPassword) {
     try {
-        return authManager.updatePreferences(preferences);
+        return await authManager.disableTwoFactor(currentPassword);
     } catch (error) {
-        console.error('Preferences update error:', error);
+        console.error('Two-factor disable error:', error);
         throw error;
     }
 }
 
-function getUserStats() {
-    return authManager.getUserStats();
+function getTwoFactorStatus() {
+    return authManager.getTwoFactorStatus();
 }
 
-function changePassword(currentPassword, newPassword) {
+async function regenerateRecoveryCodes(currentPassword) {
     try {
-        return authManager.changePassword(currentPassword, newPassword);
+        return await authManager.regenerateRecoveryCodes(currentPassword);
     } catch (error) {
-        console.error('Password change error:', error);
+        console.error('Recovery code error:', error);
         throw error;
     }
 }
 
+function getRecoveryCodesRemaining() {
+    return authManager.getRecoveryCodesRemaining();
+}
+
+function recoveryCodesUnlockConversions() {
+    return authManager.recoveryCodesUnlockConversions();
+}
+
 function deleteAccount() {
     try {
         return authManager.deleteAccount();
@@ -406,6 +1887,164 @@ function deleteAccount() {
     }
 }
 
+function getGuestDataInfo() {
+    return authManager.getGuestDataInfo();
+}
+
+function discardGuestData() {
+    authManager.discardGuestData();
+}
+
+async function mergeGuestConversions() {
+    try {
+        return await authManager.mergeGuestConversions();
+    } catch (error) {
+        console.error('Guest data merge error:', error);
+        throw error;
+    }
+}
+
+// Tool pages work without an account; show the guest banner and a sign-in link instead of logout
+function setupGuestMode() {
+    if (isAuthenticated()) {
+        return false;
+    }
+
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (logoutBtn) {
+        logoutBtn.textContent = 'Sign In';
+        logoutBtn.addEventListener('click', function() {
+            window.location.href = 'login.html';
+        });
+    }
+
+    const discardBtn = document.getElementById('discardGuestBtn');
+    if (discardBtn) {
+        discardBtn.addEventListener('click', function() {
+            discardGuestData();
+            updateGuestBanner();
+        });
+    }
+
+    updateGuestBanner();
+    return true;
+}
+
+function updateGuestBanner() {
+    const banner = document.getElementById('guestBanner');
+    if (!banner || isAuthenticated()) {
+        return;
+    }
+
+    const info = getGuestDataInfo();
+    const bannerText = document.getElementById('guestBannerText');
+    if (info) {
+        const plural = info.count === 1 ? '' : 's';
+        bannerText.textContent = `You're using Digitalk as a guest. ${info.count} conversion${plural} saved on this device until ${new Date(info.expiresAt).toLocaleString()}. Sign up or sign in to keep them.`;
+    } else {
+        bannerText.textContent = "You're using Digitalk as a guest. Conversions you save are kept on this device for 7 days. Sign up or sign in to keep them.";
+    }
+    document.getElementById('discardGuestBtn').style.display = info ? 'inline-flex' : 'none';
+    banner.style.display = 'flex';
+}
+
+function isAdmin() {
+    return authManager.isAdmin();
+}
+
+function getAllUsers() {
+    return authManager.getAllUsers();
+}
+
+function setUserDisabled(userId, disabled) {
+    try {
+        return authManager.setUserDisabled(userId, disabled);
+    } catch (error) {
+        console.error('Account status update error:', error);
+        throw error;
+    }
+}
+
+function requirePasswordReset(userId) {
+    try {
+        return authManager.requirePasswordReset(userId);
+    } catch (error) {
+        console.error('Password reset request error:', error);
+        throw error;
+    }
+}
+
+function deleteUser(userId) {
+    try {
+        return authManager.deleteUser(userId);
+    } catch (error) {
+        console.error('User deletion error:', error);
+        throw error;
+    }
+}
+
+// Resolves once saved conversions are decrypted; await before reading them on page load.
+// While signed in, this asks for the password first
+function whenAuthReady() {
+    if (!authManager.ready) {
+        authManager.ready = authManager.isConversionsLocked() ? promptConversionUnlock() : Promise.resolve();
+    }
+    return authManager.ready;
+}
+
+// Password dialog that resolves once the conversions are unlocked; signing out is the way past it
+function promptConversionUnlock() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3>Unlock Your Conversions</h3>
+            </div>
+            <form class="modal-body">
+                <p class="setting-description">Your saved conversions are encrypted and the key is not kept between pages. Enter your password to open them here.</p>
+                <div class="form-group">
+                    <label for="unlockPassword">Password</label>
+                    <input type="password" id="unlockPassword" autocomplete="current-password" required>
+                </div>
+                <p class="unlock-error" role="alert"></p>
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-secondary" data-action="logout">Sign Out</button>
+                    <button type="submit" class="btn btn-primary">Unlock</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    modal.style.display = 'block';
+
+    const form = modal.querySelector('form');
+    const input = modal.querySelector('#unlockPassword');
+    const error = modal.querySelector('.unlock-error');
+    const submit = form.querySelector('button[type="submit"]');
+    modal.querySelector('[data-action="logout"]').addEventListener('click', () => logout());
+    input.focus();
+
+    return new Promise(resolve => {
+        form.addEventListener('submit', async event => {
+            event.preventDefault();
+            submit.disabled = true;
+            error.textContent = '';
+            try {
+                await authManager.unlockConversions(input.value);
+                modal.remove();
+                resolve();
+            } catch (unlockError) {
+                error.textContent = 'Incorrect password';
+                input.value = '';
+                input.focus();
+            } finally {
+                submit.disabled = false;
+            }
+        });
+    });
+}
+
 // Authentication check for protected pages
 function checkAuth() {
     if (!isAuthenticated()) {
@@ -415,12 +2054,31 @@ function checkAuth() {
     return true;
 }
 
+function checkAdmin() {
+    if (!checkAuth()) {
+        return false;
+    }
+    if (!isAdmin()) {
+        window.location.href = 'home.html';
+        return false;
+    }
+    return true;
+}
+
 // Form handling for login page
 document.addEventListener('DOMContentLoaded', function() {
+    applyThemePreference();
+
+    // Only admins see the admin console link
+    const adminLink = document.getElementById('adminLink');
+    if (adminLink && isAdmin()) {
+        adminLink.style.display = '';
+    }
+
     // Login form handling
     const loginForm = document.getElementById('loginForm');
     if (loginForm) {
-        loginForm.addEventListener('submit', function(e) {
+        loginForm.addEventListener('submit', async function(e) {
             e.preventDefault();
             
             const email = document.getElementById('email').value.trim();
@@ -433,24 +2091,166 @@ document.addEventListener('DOMContentLoaded', function() {
             successMessage.style.display = 'none';
 
             try {
-                const user = login(email, password);
-                successMessage.textContent = 'Login successful! Redirecting...';
+                const result = await login(email, password);
+                if (result.twoFactorRequired) {
+                    // Ask for the second factor before signing in
+                    loginForm.closest('.auth-form-container').style.display = 'none';
+                    document.getElementById('twoFactorContainer').style.display = 'block';
+                    document.getElementById('twoFactorCode').focus();
+                    return;
+                }
+                handleSignInResult(result, loginForm.closest('.auth-form-container'));
+            } catch (error) {
+                errorMessage.textContent = error.message;
+                errorMessage.style.display = 'block';
+            }
+        });
+    }
+
+    // Two-factor step handling
+    const twoFactorForm = document.getElementById('twoFactorForm');
+    if (twoFactorForm) {
+        twoFactorForm.addEventListener('submit', async function(e) {
+            e.preventDefault();
+
+            const code = document.getElementById('twoFactorCode').value.trim();
+            const errorMessage = document.getElementById('errorMessage');
+            const successMessage = document.getElementById('successMessage');
+
+            // Clear previous messages
+            errorMessage.style.display = 'none';
+            successMessage.style.display = 'none';
+
+            try {
+                const result = await completeTwoFactorLogin(code);
+                handleSignInResult(result, document.getElementById('twoFactorContainer'));
+            } catch (error) {
+                document.getElementById('twoFactorCode').value = '';
+                errorMessage.textContent = error.message;
+                errorMessage.style.display = 'block';
+
+                // Expired or locked attempts start over from the password step
+                if (!authManager.pendingTwoFactorLogin) {
+                    document.getElementById('twoFactorContainer').style.display = 'none';
+                    loginForm.closest('.auth-form-container').style.display = 'block';
+                }
+            }
+        });
+
+        document.getElementById('cancelTwoFactor').addEventListener('click', function() {
+            authManager.cancelTwoFactorLogin();
+            document.getElementById('twoFactorCode').value = '';
+            document.getElementById('twoFactorContainer').style.display = 'none';
+            loginForm.closest('.auth-form-container').style.display = 'block';
+        });
+    }
+
+    // Remaining sign-in steps once the password (and second factor) checked out
+    function handleSignInResult(result, currentContainer) {
+        if (result.deletionPending) {
+            showRestorePrompt(currentContainer, result.deletionScheduledAt);
+            return;
+        }
+        if (result.passwordResetRequired) {
+            showPasswordReset(currentContainer);
+            return;
+        }
+
+        const successMessage = document.getElementById('successMessage');
+        successMessage.textContent = 'Login successful! Redirecting...';
+        successMessage.style.display = 'block';
+        continueToApp(currentContainer);
+    }
+
+    // Accounts pending deletion can be restored at sign-in
+    function showRestorePrompt(currentContainer, deletionScheduledAt) {
+        document.getElementById('restoreAccountSummary').textContent =
+            `This account is scheduled to be permanently deleted on ${new Date(deletionScheduledAt).toLocaleDateString()}. Restore it to keep your account and conversions.`;
+        currentContainer.style.display = 'none';
+        document.getElementById('restoreAccountContainer').style.display = 'block';
+    }
+
+    const restoreAccountBtn = document.getElementById('restoreAccountBtn');
+    if (restoreAccountBtn) {
+        restoreAccountBtn.addEventListener('click', async function() {
+            const errorMessage = document.getElementById('errorMessage');
+            errorMessage.style.display = 'none';
+
+            try {
+                const result = await restoreAccount();
+                handleSignInResult(result, document.getElementById('restoreAccountContainer'));
+            } catch (error) {
+                errorMessage.textContent = error.message;
+                errorMessage.style.display = 'block';
+                document.getElementById('restoreAccountContainer').style.display = 'none';
+                loginForm.closest('.auth-form-container').style.display = 'block';
+            }
+        });
+
+        document.getElementById('cancelRestoreBtn').addEventListener('click', function() {
+            authManager.cancelAccountRestore();
+            document.getElementById('restoreAccountContainer').style.display = 'none';
+            loginForm.closest('.auth-form-container').style.display = 'block';
+        });
+    }
+
+    // Forced password reset step (requested by an admin)
+    function showPasswordReset(currentContainer) {
+        currentContainer.style.display = 'none';
+        document.getElementById('passwordResetContainer').style.display = 'block';
+        document.getElementById('resetNewPassword').focus();
+    }
+
+    const passwordResetForm = document.getElementById('passwordResetForm');
+    if (passwordResetForm) {
+        passwordResetForm.addEventListener('submit', async function(e) {
+            e.preventDefault();
+
+            const newPassword = document.getElementById('resetNewPassword').value;
+            const confirmPassword = document.getElementById('resetConfirmPassword').value;
+            const errorMessage = document.getElementById('errorMessage');
+            const successMessage = document.getElementById('successMessage');
+
+            // Clear previous messages
+            errorMessage.style.display = 'none';
+            successMessage.style.display = 'none';
+
+            if (newPassword !== confirmPassword) {
+                errorMessage.textContent = 'Passwords do not match';
+                errorMessage.style.display = 'block';
+                return;
+            }
+
+            try {
+                await completePasswordReset(newPassword);
+                passwordResetForm.reset();
+                successMessage.textContent = 'Password updated! Redirecting...';
                 successMessage.style.display = 'block';
-                
-                setTimeout(() => {
-                    window.location.href = 'home.html';
-                }, 1000);
+                continueToApp(document.getElementById('passwordResetContainer'));
             } catch (error) {
                 errorMessage.textContent = error.message;
                 errorMessage.style.display = 'block';
+
+                // Expired attempts start over from the password step
+                if (!authManager.pendingPasswordReset) {
+                    document.getElementById('passwordResetContainer').style.display = 'none';
+                    loginForm.closest('.auth-form-container').style.display = 'block';
+                }
             }
         });
+
+        document.getElementById('cancelPasswordReset').addEventListener('click', function() {
+            authManager.cancelPasswordReset();
+            passwordResetForm.reset();
+            document.getElementById('passwordResetContainer').style.display = 'none';
+            loginForm.closest('.auth-form-container').style.display = 'block';
+        });
     }
 
     // Signup form handling
     const signupForm = document.getElementById('signupForm');
     if (signupForm) {
-        signupForm.addEventListener('submit', function(e) {
+        signupForm.addEventListener('submit', async function(e) {
             e.preventDefault();
             
             const name = document.getElementById('signupName').value.trim();
@@ -464,18 +2264,100 @@ document.addEventListener('DOMContentLoaded', function() {
             successMessage.style.display = 'none';
 
             try {
-                const user = register({ name, email, password });
-                successMessage.textContent = 'Account created successfully! Redirecting...';
+                const user = await register({ name, email, password });
+                successMessage.textContent = 'Account created successfully!';
                 successMessage.style.display = 'block';
-                
-                setTimeout(() => {
-                    window.location.href = 'home.html';
-                }, 1000);
+
+                // Recovery codes are only ever shown here (or after regenerating them)
+                document.getElementById('newRecoveryCodes').innerHTML = user.recoveryCodes
+                    .map(code => `<li>${code}</li>`)
+                    .join('');
+                document.getElementById('signupContainer').style.display = 'none';
+                document.getElementById('recoveryCodesContainer').style.display = 'block';
+            } catch (error) {
+                errorMessage.textContent = error.message;
+                errorMessage.style.display = 'block';
+            }
+        });
+    }
+
+    const continueAfterSignup = document.getElementById('continueAfterSignup');
+    if (continueAfterSignup) {
+        continueAfterSignup.addEventListener('click', function() {
+            continueToApp(document.getElementById('recoveryCodesContainer'));
+        });
+    }
+
+    // After signing in, offer to keep anything made in guest mode before going home
+    function continueToApp(currentContainer) {
+        const info = getGuestDataInfo();
+        if (!info) {
+            setTimeout(() => {
+                window.location.href = 'home.html';
+            }, 1000);
+            return;
+        }
+
+        const plural = info.count === 1 ? '' : 's';
+        document.getElementById('guestMergeSummary').textContent =
+            `You made ${info.count} conversion${plural} as a guest on this device. Add ${info.count === 1 ? 'it' : 'them'} to your account?`;
+        currentContainer.style.display = 'none';
+        document.getElementById('guestMergeContainer').style.display = 'block';
+    }
+
+    const mergeGuestBtn = document.getElementById('mergeGuestBtn');
+    if (mergeGuestBtn) {
+        mergeGuestBtn.addEventListener('click', async function() {
+            try {
+                await mergeGuestConversions();
+                window.location.href = 'home.html';
             } catch (error) {
+                const errorMessage = document.getElementById('errorMessage');
                 errorMessage.textContent = error.message;
                 errorMessage.style.display = 'block';
             }
         });
+
+        document.getElementById('discardGuestMergeBtn').addEventListener('click', function() {
+            discardGuestData();
+            window.location.href = 'home.html';
+        });
+    }
+
+    // Live password strength feedback wherever a new password is chosen
+    const signupPassword = document.getElementById('signupPassword');
+    if (signupPassword) {
+        const signupMeter = attachPasswordMeter(
+            signupPassword,
+            document.getElementById('signupPasswordMeter'),
+            () => ({
+                name: document.getElementById('signupName').value,
+                email: document.getElementById('signupEmail').value
+            }),
+            authManager.passwordPolicy
+        );
+        document.getElementById('signupName').addEventListener('input', signupMeter.update);
+        document.getElementById('signupEmail').addEventListener('input', signupMeter.update);
+    }
+
+    const recoveryNewPassword = document.getElementById('recoveryNewPassword');
+    if (recoveryNewPassword) {
+        attachPasswordMeter(
+            recoveryNewPassword,
+            document.getElementById('recoveryPasswordMeter'),
+            () => ({ email: document.getElementById('recoveryEmail').value }),
+            authManager.passwordPolicy
+        );
+    }
+
+    const resetNewPassword = document.getElementById('resetNewPassword');
+    if (resetNewPassword) {
+        attachPasswordMeter(
+            resetNewPassword,
+            document.getElementById('resetPasswordMeter'),
+            () => ({ email: document.getElementById('email').value }),
+            authManager.passwordPolicy
+        );
     }
 
     // Form switching (login/signup)
@@ -499,43 +2381,92 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
+    // Forgot password (recovery code) handling
+    const recoveryForm = document.getElementById('recoveryForm');
+    if (recoveryForm) {
+        recoveryForm.addEventListener('submit', async function(e) {
+            e.preventDefault();
+
+            const email = document.getElementById('recoveryEmail').value.trim();
+            const code = document.getElementById('recoveryCode').value.trim();
+            const newPassword = document.getElementById('recoveryNewPassword').value;
+            const confirmPassword = document.getElementById('recoveryConfirmPassword').value;
+            const errorMessage = document.getElementById('errorMessage');
+            const successMessage = document.getElementById('successMessage');
+
+            // Clear previous messages
+            errorMessage.style.display = 'none';
+            successMessage.style.display = 'none';
+
+            if (newPassword !== confirmPassword) {
+                errorMessage.textContent = 'Passwords do not match';
+                errorMessage.style.display = 'block';
+                return;
+            }
+
+            try {
+                const result = await recoverAccount(email, code, newPassword);
+                recoveryForm.reset();
+                successMessage.textContent = `Password reset! Sign in with your new password. ${result.recoveryCodesRemaining} recovery codes left.`;
+                if (result.conversionsReset) {
+                    successMessage.textContent += ' Saved conversions could not be unlocked with an older recovery code and have been cleared. Generate new recovery codes from your profile.';
+                }
+                successMessage.style.display = 'block';
+
+                document.getElementById('recoveryContainer').style.display = 'none';
+                loginContainer.style.display = 'block';
+                document.getElementById('email').value = email;
+            } catch (error) {
+                errorMessage.textContent = error.message;
+                errorMessage.style.display = 'block';
+            }
+        });
+    }
+
+    const forgotPasswordBtn = document.getElementById('forgotPasswordBtn');
+    const recoveryContainer = document.getElementById('recoveryContainer');
+
+    if (forgotPasswordBtn) {
+        forgotPasswordBtn.addEventListener('click', function() {
+            loginContainer.style.display = 'none';
+            recoveryContainer.style.display = 'block';
+            document.getElementById('recoveryEmail').value = document.getElementById('email').value;
+        });
+
+        document.getElementById('recoveryBackToLogin').addEventListener('click', function() {
+            recoveryContainer.style.display = 'none';
+            loginContainer.style.display = 'block';
+        });
+    }
+
+    // Explain why the user landed back on the login page
+    const signInError = document.getElementById('errorMessage');
+    const signInReason = new URLSearchParams(window.location.search).get('reason');
+    if (loginForm && signInError && signInReason === 'expired') {
+        signInError.textContent = 'Your session has expired. Please sign in again.';
+        signInError.style.display = 'block';
+    } else if (loginForm && signInReason === 'deleted') {
+        const graceDays = Math.round(authManager.deletionGracePeriod / (24 * 60 * 60 * 1000));
+        const signInNotice = document.getElementById('successMessage');
+        signInNotice.textContent = `Your account is scheduled for deletion. Sign in within ${graceDays} days to restore it.`;
+        signInNotice.style.display = 'block';
+    }
+
     // Auto-redirect if already logged in
     if (window.location.pathname.includes('login.html') && isAuthenticated()) {
         window.location.href = 'home.html';
     }
 });
 
-// Session management
+// Session management (see session.js)
 function refreshSession() {
-    const currentUser = getCurrentUser();
-    if (currentUser) {
-        // Update last activity timestamp
-        const updatedUser = { ...currentUser, lastActivity: Date.now() };
-        localStorage.setItem('currentUser', JSON.stringify(updatedUser));
-    }
+    sessionManager.touch();
 }
 
-// Refresh session every 5 minutes
-setInterval(refreshSession, 5 * 60 * 1000);
-
-// Check for session timeout (24 hours)
 function checkSessionTimeout() {
-    const currentUser = getCurrentUser();
-    if (currentUser && currentUser.lastActivity) {
-        const now = Date.now();
-        const lastActivity = currentUser.lastActivity;
-        const timeout = 24 * 60 * 60 * 1000; // 24 hours
-
-        if (now - lastActivity > timeout) {
-            logout();
-        }
-    }
+    return sessionManager.validate();
 }
 
-// Check session timeout on page load and every hour
-document.addEventListener('DOMContentLoaded', checkSessionTimeout);
-setInterval(checkSessionTimeout, 60 * 60 * 1000);
-
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
@@ -546,9 +2477,42 @@ if (typeof module !== 'undefined' && module.exports) {
         isAuthenticated,
         updateProfile,
         updatePreferences,
+        getPreferences,
+        recordVocabularyHits,
+        applyThemePreference,
+        getAuditLog,
         getUserStats,
+        getConversions,
+        addConversion,
+        updateConversion,
+        removeConversion,
+        saveConversionAudio,
+        getConversionAudio,
+        getGuestDataInfo,
+        discardGuestData,
+        mergeGuestConversions,
+        setupGuestMode,
+        updateGuestBanner,
         changePassword,
+        completeTwoFactorLogin,
+        completePasswordReset,
+        restoreAccount,
+        recoverAccount,
+        beginTwoFactorSetup,
+        confirmTwoFactorSetup,
+        disableTwoFactor,
+        getTwoFactorStatus,
+        regenerateRecoveryCodes,
+        getRecoveryCodesRemaining,
+        recoveryCodesUnlockConversions,
         deleteAccount,
+        isAdmin,
+        checkAdmin,
+        whenAuthReady,
+        getAllUsers,
+        setUserDisabled,
+        requirePasswordReset,
+        deleteUser,
         checkAuth
     };
 }
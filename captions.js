@@ -0,0 +1,169 @@
+// Caption Export
+// SRT and WebVTT captions built from timestamped transcript segments
+
+const DEFAULT_CAPTION_OPTIONS = {
+    maxLineLength: 42,      // characters per caption line
+    maxLinesPerCue: 2,
+    maxCueDuration: 5000,   // ms a single cue may stay on screen
+    minCueDuration: 1000    // ms, so short phrases stay readable
+};
+
+const CAPTION_FORMATS = {
+    srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+    vtt: { extension: 'vtt', mimeType: 'text/vtt' }
+};
+
+function isTimedSegment(segment) {
+    return Boolean(segment) && Number.isFinite(segment.startTime) && Number.isFinite(segment.endTime);
+}
+
+function hasCaptionTiming(segments) {
+    return Array.isArray(segments) && segments.some(isTimedSegment);
+}
+
+// Greedy word wrap; a word longer than a line gets a line of its own
+function wrapCaptionText(text, maxLineLength) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        if (line && line.length + 1 + word.length > maxLineLength) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    });
+    if (line) {
+        lines.push(line);
+    }
+    return lines;
+}
+
+// Split segments into cues that fit the line and duration limits; a segment's time is spread over its words by length
+function buildCaptionCues(segments, options = {}) {
+    const settings = { ...DEFAULT_CAPTION_OPTIONS, ...options };
+    const cues = [];
+
+    (segments || []).filter(isTimedSegment).forEach(segment => {
+        const words = segment.text.split(/\s+/).filter(Boolean);
+        if (words.length === 0) {
+            return;
+        }
+
+        const duration = Math.max(segment.endTime - segment.startTime, 0);
+        const totalLength = words.reduce((sum, word) => sum + word.length + 1, 0);
+        let position = 0;
+        let cue = null;
+
+        words.forEach(word => {
+            const wordStart = segment.startTime + duration * position / totalLength;
+            position += word.length + 1;
+            const wordEnd = segment.startTime + duration * position / totalLength;
+
+            if (cue) {
+                const text = `${cue.text} ${word}`;
+                const fits = wrapCaptionText(text, settings.maxLineLength).length <= settings.maxLinesPerCue;
+                if (fits && wordEnd - cue.start <= settings.maxCueDuration) {
+                    cue.text = text;
+                    cue.end = wordEnd;
+                    return;
+                }
+                cues.push(cue);
+            }
+            cue = { start: wordStart, end: wordEnd, text: word };
+        });
+        cues.push(cue);
+    });
+
+    // Stretch short cues to the minimum duration without running into the next one
+    return cues.map((cue, index) => {
+        const next = cues[index + 1];
+        const end = Math.max(cue.end, cue.start + settings.minCueDuration);
+        return {
+            start: Math.round(cue.start),
+            end: Math.round(next ? Math.min(end, next.start) : end),
+            lines: wrapCaptionText(cue.text, settings.maxLineLength)
+        };
+    });
+}
+
+// HH:MM:SS,mmm for SRT or HH:MM:SS.mmm for WebVTT
+function formatCaptionTimestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}${separator}${String(millis).padStart(3, '0')}`;
+}
+
+function formatSRT(cues) {
+    return cues.map((cue, index) => [
+        index + 1,
+        `${formatCaptionTimestamp(cue.start, ',')} --> ${formatCaptionTimestamp(cue.end, ',')}`,
+        ...cue.lines
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+function formatWebVTT(cues) {
+    const body = cues.map(cue => [
+        `${formatCaptionTimestamp(cue.start, '.')} --> ${formatCaptionTimestamp(cue.end, '.')}`,
+        ...cue.lines
+    ].join('\n'));
+    return ['WEBVTT', ...body].join('\n\n') + '\n';
+}
+
+// format is 'srt' or 'vtt'
+function exportCaptions(segments, format, options = {}) {
+    const cues = buildCaptionCues(segments, options);
+    return format === 'vtt' ? formatWebVTT(cues) : formatSRT(cues);
+}
+
+// Caption options from a line length input (characters) and a cue duration input (seconds)
+function readCaptionOptions(lineLengthInput, cueDurationInput) {
+    const lineLength = parseInt(lineLengthInput.value, 10);
+    const cueDuration = parseFloat(cueDurationInput.value);
+    return {
+        maxLineLength: Number.isFinite(lineLength)
+            ? Math.min(Math.max(lineLength, 16), 80)
+            : DEFAULT_CAPTION_OPTIONS.maxLineLength,
+        maxCueDuration: Number.isFinite(cueDuration)
+            ? Math.min(Math.max(cueDuration, 1), 15) * 1000
+            : DEFAULT_CAPTION_OPTIONS.maxCueDuration
+    };
+}
+
+// Save text as a file through a temporary link; shared by every export in the app
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function downloadCaptions(segments, format, options, baseName) {
+    const { extension, mimeType } = CAPTION_FORMATS[format];
+    downloadFile(exportCaptions(segments, format, options), `${baseName}.${extension}`, mimeType);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_CAPTION_OPTIONS,
+        hasCaptionTiming,
+        wrapCaptionText,
+        buildCaptionCues,
+        formatCaptionTimestamp,
+        formatSRT,
+        formatWebVTT,
+        exportCaptions,
+        readCaptionOptions,
+        downloadFile,
+        downloadCaptions
+    };
+}
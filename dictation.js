@@ -0,0 +1,198 @@
+// Dictation Commands
+// Spoken punctuation, formatting and editing commands applied to final recognition results
+
+// Editing commands; a vocabulary maps a phrase to one of these as "@name"
+const DICTATION_ACTIONS = ['scratch', 'undo', 'capitalize', 'deleteSentence'];
+
+// Phrase => inserted text or @action. Regional variants extend their base language
+const DICTATION_VOCABULARIES = {
+    en: {
+        'period': '.',
+        'comma': ',',
+        'question mark': '?',
+        'exclamation mark': '!',
+        'exclamation point': '!',
+        'colon': ':',
+        'semicolon': ';',
+        'open quote': '“',
+        'close quote': '”',
+        'open parenthesis': '(',
+        'close parenthesis': ')',
+        'new line': '\n',
+        'new paragraph': '\n\n',
+        'scratch that': '@scratch',
+        'undo': '@undo',
+        'undo that': '@undo',
+        'capitalize that': '@capitalize',
+        'delete last sentence': '@deleteSentence'
+    },
+    'en-GB': {
+        'full stop': '.',
+        'open bracket': '(',
+        'close bracket': ')',
+        'capitalise that': '@capitalize'
+    },
+    'en-AU': {
+        'full stop': '.',
+        'open bracket': '(',
+        'close bracket': ')',
+        'capitalise that': '@capitalize'
+    }
+};
+
+const MAX_DICTATION_COMMANDS = 50;
+const MAX_DICTATION_PHRASE_LENGTH = 50;
+const MAX_DICTATION_REPLACEMENT_LENGTH = 100;
+
+// Phrases for a recognition language, with the user's own commands on top
+function getDictationVocabulary(language, customCommands = []) {
+    const base = language.split('-')[0];
+    const vocabulary = {
+        ...(DICTATION_VOCABULARIES[base] || {}),
+        ...(DICTATION_VOCABULARIES[language] || {})
+    };
+    customCommands.forEach(({ phrase, replacement }) => {
+        vocabulary[phrase.toLowerCase()] = replacement;
+    });
+    return vocabulary;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Split a transcript into text, inserted symbols and actions. Longer phrases win ("new paragraph" over "new line")
+function parseDictation(text, vocabulary) {
+    const phrases = Object.keys(vocabulary).sort((a, b) => b.length - a.length);
+    if (phrases.length === 0) {
+        return text.trim() ? [{ type: 'text', text: text.trim() }] : [];
+    }
+
+    const pattern = new RegExp(`\\b(${phrases.map(phrase => escapeRegExp(phrase).replace(/\s+/g, '\\s+')).join('|')})\\b`, 'gi');
+    const parts = [];
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const before = text.slice(lastIndex, match.index).trim();
+        if (before) {
+            parts.push({ type: 'text', text: before });
+        }
+
+        const spec = vocabulary[match[1].toLowerCase().replace(/\s+/g, ' ')];
+        if (spec.startsWith('@')) {
+            parts.push({ type: 'action', action: spec.slice(1) });
+        } else {
+            parts.push({ type: 'insert', text: spec });
+        }
+        lastIndex = match.index + match[0].length;
+    }
+
+    const rest = text.slice(lastIndex).trim();
+    if (rest) {
+        parts.push({ type: 'text', text: rest });
+    }
+    return parts;
+}
+
+// Punctuation hugs the word before it; line breaks and opening marks take no space after them
+function needsSpaceBetween(before, after) {
+    if (!before || !after) {
+        return false;
+    }
+    return !/[\s(“]$/.test(before) && !/^[\s.,?!:;)”]/.test(after);
+}
+
+function joinDictatedText(pieces) {
+    return pieces.reduce((text, piece) => {
+        if (!piece) {
+            return text;
+        }
+        return text + (needsSpaceBetween(text, piece) ? ' ' : '') + piece;
+    }, '');
+}
+
+// Text with only insertion commands applied; editing commands are dropped
+function applyDictationInsertions(text, vocabulary) {
+    return joinDictatedText(parseDictation(text, vocabulary)
+        .filter(part => part.type !== 'action')
+        .map(part => part.text));
+}
+
+function capitalizeWords(text) {
+    return text.replace(/(^|[\s(“])([a-z])/g, (match, before, letter) => before + letter.toUpperCase());
+}
+
+// True for pieces that contain no words, like "." or a line break
+function isPunctuationOnly(text) {
+    return !/[\p{L}\p{N}]/u.test(text);
+}
+
+// "phrase => replacement" per line; "\n" in a replacement is a line break and "@action" an editing command
+function parseDictationCommandList(text) {
+    const commands = [];
+    text.split('\n').forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+
+        const separator = line.indexOf('=>');
+        const phrase = separator === -1 ? '' : line.slice(0, separator).trim().toLowerCase().replace(/\s+/g, ' ');
+        const replacement = separator === -1 ? '' : line.slice(separator + 2).trim().replace(/\\n/g, '\n');
+        if (!phrase || !replacement) {
+            throw new Error(`Line ${index + 1}: use "phrase => replacement"`);
+        }
+        if (replacement.startsWith('@') && !DICTATION_ACTIONS.includes(replacement.slice(1))) {
+            throw new Error(`Line ${index + 1}: unknown command ${replacement}. Use one of ${DICTATION_ACTIONS.map(action => '@' + action).join(', ')}`);
+        }
+        commands.push({ phrase, replacement });
+    });
+    return normalizeDictationCommands(commands);
+}
+
+// Validated copy of user-defined commands; the checks the command list editor and stored preferences share
+function normalizeDictationCommands(commands) {
+    if (!Array.isArray(commands)) {
+        throw new Error('Expected a list of dictation commands');
+    }
+    if (commands.length > MAX_DICTATION_COMMANDS) {
+        throw new Error(`You can define up to ${MAX_DICTATION_COMMANDS} dictation commands`);
+    }
+
+    return commands.map((command, index) => {
+        const label = `Command ${index + 1}`;
+        const phrase = command && typeof command.phrase === 'string' ? command.phrase.trim().toLowerCase() : '';
+        const replacement = command && typeof command.replacement === 'string' ? command.replacement : '';
+        if (!phrase || !replacement) {
+            throw new Error(`${label}: a phrase and a replacement are required`);
+        }
+        if (phrase.length > MAX_DICTATION_PHRASE_LENGTH || replacement.length > MAX_DICTATION_REPLACEMENT_LENGTH) {
+            throw new Error(`${label}: phrases are limited to ${MAX_DICTATION_PHRASE_LENGTH} characters and replacements to ${MAX_DICTATION_REPLACEMENT_LENGTH}`);
+        }
+        if (replacement.startsWith('@') && !DICTATION_ACTIONS.includes(replacement.slice(1))) {
+            throw new Error(`${label}: unknown command ${replacement}`);
+        }
+        return { phrase, replacement };
+    });
+}
+
+function formatDictationCommandList(commands) {
+    return commands.map(({ phrase, replacement }) => `${phrase} => ${replacement.replace(/\n/g, '\\n')}`).join('\n');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DICTATION_ACTIONS,
+        getDictationVocabulary,
+        parseDictation,
+        needsSpaceBetween,
+        joinDictatedText,
+        applyDictationInsertions,
+        capitalizeWords,
+        isPunctuationOnly,
+        parseDictationCommandList,
+        normalizeDictationCommands,
+        formatDictationCommandList
+    };
+}
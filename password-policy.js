@@ -0,0 +1,181 @@
+// Password Policy
+// Configurable rules, a banned-password list and an entropy-based strength score
+
+const DEFAULT_PASSWORD_POLICY = {
+    minLength: 8,
+    requireLowercase: true,
+    requireUppercase: true,
+    requireDigit: true,
+    requireSymbol: false,
+    passphraseLength: 16,         // passwords this long skip the character-class rules
+    disallowPersonalInfo: true,   // name and email parts may not appear in the password
+    minScore: 2                   // 0 (very weak) to 4 (very strong)
+};
+
+// Most common leaked passwords, lowercase; compared case-insensitively
+const BANNED_PASSWORDS = new Set([
+    '123456', '123456789', '12345678', '12345', '1234567', '1234567890', '111111', '000000',
+    '123123', '654321', '666666', '121212', '112233', '987654321', '1q2w3e4r', '1qaz2wsx',
+    'password', 'password1', 'password12', 'password123', 'passw0rd', 'p@ssw0rd', 'p@ssword',
+    'qwerty', 'qwerty123', 'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbnm', 'abc123', 'abcd1234',
+    'iloveyou', 'welcome', 'welcome1', 'admin', 'admin123', 'administrator', 'letmein', 'login',
+    'monkey', 'dragon', 'master', 'shadow', 'sunshine', 'princess', 'football', 'baseball',
+    'superman', 'batman', 'trustno1', 'starwars', 'whatever', 'freedom', 'hello123', 'charlie',
+    'michael', 'jennifer', 'jordan23', 'liverpool', 'chelsea', 'secret', 'secret123', 'changeme',
+    'default', 'guest', 'test123', 'testing', 'summer2024', 'winter2024', 'spring2024', 'autumn2024',
+    'digitalk', 'digitalk1', 'digitalk123'
+]);
+
+const PASSWORD_STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+// Entropy (bits) at which each score starts
+const PASSWORD_SCORE_THRESHOLDS = [0, 28, 36, 60, 80];
+
+// Lowercase fragments of the user's name and email that should not appear in the password
+function getPersonalTerms({ name = '', email = '' } = {}) {
+    const localPart = email.split('@')[0] || '';
+    return [...name.split(/\s+/), ...localPart.split(/[._+-]/), localPart]
+        .map(term => term.toLowerCase())
+        .filter(term => term.length >= 3);
+}
+
+// Character-pool entropy, discounted for repeats and runs like "aaaa" or "1234"
+function estimatePasswordEntropy(password) {
+    if (!password) {
+        return 0;
+    }
+
+    let pool = 0;
+    if (/[a-z]/.test(password)) pool += 26;
+    if (/[A-Z]/.test(password)) pool += 26;
+    if (/\d/.test(password)) pool += 10;
+    if (/[^a-zA-Z\d]/.test(password)) pool += 33;
+
+    // Characters that repeat or continue a run add little
+    let effectiveLength = 0;
+    for (let i = 0; i < password.length; i++) {
+        const code = password.charCodeAt(i);
+        const previous = password.charCodeAt(i - 1);
+        const predictable = i > 0 && (code === previous || Math.abs(code - previous) === 1);
+        effectiveLength += predictable ? 0.25 : 1;
+    }
+
+    return effectiveLength * Math.log2(pool);
+}
+
+// Check a password against the policy; context is the user's { name, email }
+function evaluatePassword(password, context = {}, policy = DEFAULT_PASSWORD_POLICY) {
+    const settings = { ...DEFAULT_PASSWORD_POLICY, ...policy };
+    const value = password || '';
+    const lower = value.toLowerCase();
+    const banned = BANNED_PASSWORDS.has(lower);
+    const personalTerm = settings.disallowPersonalInfo
+        ? getPersonalTerms(context).find(term => lower.includes(term))
+        : null;
+
+    let entropy = estimatePasswordEntropy(value);
+    if (banned) {
+        entropy = 0;
+    } else if (personalTerm) {
+        // Guessable from the account itself
+        entropy = Math.max(0, entropy - personalTerm.length * Math.log2(26));
+    }
+
+    const score = PASSWORD_SCORE_THRESHOLDS.filter(threshold => entropy >= threshold).length - 1;
+
+    // message is the checklist text; error is the sentence shown when the rule blocks a password
+    const rules = [{
+        id: 'length',
+        passed: value.length >= settings.minLength,
+        message: `At least ${settings.minLength} characters`,
+        error: `Password must be at least ${settings.minLength} characters long`
+    }];
+    // Long passphrases get their strength from length rather than character variety
+    const isPassphrase = settings.passphraseLength > 0 && value.length >= settings.passphraseLength;
+    if (settings.requireLowercase && !isPassphrase) {
+        rules.push({ id: 'lowercase', passed: /[a-z]/.test(value), message: 'A lowercase letter', error: 'Password must contain a lowercase letter' });
+    }
+    if (settings.requireUppercase && !isPassphrase) {
+        rules.push({ id: 'uppercase', passed: /[A-Z]/.test(value), message: 'An uppercase letter', error: 'Password must contain an uppercase letter' });
+    }
+    if (settings.requireDigit && !isPassphrase) {
+        rules.push({ id: 'digit', passed: /\d/.test(value), message: 'A number', error: 'Password must contain a number' });
+    }
+    if (settings.requireSymbol && !isPassphrase) {
+        rules.push({ id: 'symbol', passed: /[^a-zA-Z\d]/.test(value), message: 'A symbol', error: 'Password must contain a symbol' });
+    }
+    rules.push({
+        id: 'common',
+        passed: value.length > 0 && !banned,
+        message: 'Not a commonly used password',
+        error: 'This password is too common. Please choose another'
+    });
+    if (settings.disallowPersonalInfo) {
+        rules.push({
+            id: 'personal',
+            passed: value.length > 0 && !personalTerm,
+            message: 'Does not contain your name or email',
+            error: 'Password must not contain your name or email'
+        });
+    }
+    rules.push({
+        id: 'strength',
+        passed: score >= settings.minScore,
+        message: `Strength of at least "${PASSWORD_STRENGTH_LABELS[settings.minScore]}"`,
+        error: `Password is too weak (${PASSWORD_STRENGTH_LABELS[score].toLowerCase()}). Try a longer password or a passphrase`
+    });
+
+    return {
+        valid: rules.every(rule => rule.passed),
+        score,
+        label: PASSWORD_STRENGTH_LABELS[score],
+        entropy: Math.round(entropy),
+        rules
+    };
+}
+
+// Sentence for the first rule a password breaks, or null if it passes
+function getPasswordPolicyError(result) {
+    const failed = result.rules.find(rule => !rule.passed);
+    return failed ? failed.error : null;
+}
+
+// Live strength meter and rule checklist under a password input
+function attachPasswordMeter(input, container, getContext = () => ({}), policy = DEFAULT_PASSWORD_POLICY) {
+    container.classList.add('password-meter');
+    container.innerHTML = `
+        <div class="password-meter-bar"><div class="password-meter-fill"></div></div>
+        <div class="password-meter-label"></div>
+        <ul class="password-rules"></ul>
+    `;
+
+    const fill = container.querySelector('.password-meter-fill');
+    const label = container.querySelector('.password-meter-label');
+    const ruleList = container.querySelector('.password-rules');
+
+    function update() {
+        const result = evaluatePassword(input.value, getContext(), policy);
+        fill.style.width = `${(result.score + 1) * 20}%`;
+        fill.dataset.score = result.score;
+        label.textContent = input.value ? `Strength: ${result.label}` : '';
+        ruleList.innerHTML = result.rules
+            .map(rule => `<li class="${rule.passed ? 'passed' : 'failed'}">${rule.message}</li>`)
+            .join('');
+        return result;
+    }
+
+    input.addEventListener('input', update);
+    update();
+    return { update };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_PASSWORD_POLICY,
+        estimatePasswordEntropy,
+        evaluatePassword,
+        getPasswordPolicyError,
+        attachPasswordMeter
+    };
+}
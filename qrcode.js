@@ -0,0 +1,429 @@
+// QR Code Generator
+// Minimal byte-mode QR encoder (ISO/IEC 18004) so codes render offline without a library
+
+const QR_ECC_LEVELS = {
+    L: { ordinal: 0, formatBits: 1 },
+    M: { ordinal: 1, formatBits: 0 },
+    Q: { ordinal: 2, formatBits: 3 },
+    H: { ordinal: 3, formatBits: 2 }
+};
+
+// Indexed by [ecc ordinal][version]; index 0 is unused
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const QR_NUM_ECC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+class QRCode {
+    constructor(text, eccLevel = 'M') {
+        this.ecc = QR_ECC_LEVELS[eccLevel];
+        if (!this.ecc) {
+            throw new Error(`Unknown QR error correction level: ${eccLevel}`);
+        }
+
+        const data = Array.from(new TextEncoder().encode(text));
+        this.version = this.chooseVersion(data.length);
+        this.size = this.version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        const codewords = this.addEccAndInterleave(this.encodeData(data));
+        this.drawCodewords(codewords);
+
+        // Keep the mask with the lowest penalty score
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.getPenaltyScore();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            this.applyMask(mask); // XOR again to undo
+        }
+        this.applyMask(bestMask);
+        this.drawFormatBits(bestMask);
+        this.mask = bestMask;
+    }
+
+    // Smallest version whose data capacity fits the payload in byte mode
+    chooseVersion(byteLength) {
+        for (let version = 1; version <= 40; version++) {
+            const countBits = version <= 9 ? 8 : 16;
+            const usedBits = 4 + countBits + byteLength * 8;
+            if (usedBits <= QRCode.getNumDataCodewords(version, this.ecc) * 8) {
+                return version;
+            }
+        }
+        throw new Error('Text is too long for a QR code');
+    }
+
+    static getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    static getNumDataCodewords(version, ecc) {
+        return Math.floor(QRCode.getNumRawDataModules(version) / 8) -
+            QR_ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version] * QR_NUM_ECC_BLOCKS[ecc.ordinal][version];
+    }
+
+    // Mode indicator, length, payload, terminator and pad bytes
+    encodeData(data) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        append(0x4, 4); // byte mode
+        append(data.length, this.version <= 9 ? 8 : 16);
+        data.forEach(byte => append(byte, 8));
+
+        const capacityBits = QRCode.getNumDataCodewords(this.version, this.ecc) * 8;
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    addEccAndInterleave(data) {
+        const numBlocks = QR_NUM_ECC_BLOCKS[this.ecc.ordinal][this.version];
+        const blockEccLength = QR_ECC_CODEWORDS_PER_BLOCK[this.ecc.ordinal][this.version];
+        const rawCodewords = Math.floor(QRCode.getNumRawDataModules(this.version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = QRCode.reedSolomonDivisor(blockEccLength);
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const block = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+            offset += block.length;
+            const ecc = QRCode.reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) {
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte added to short blocks
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    static reedSolomonMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree - 1).fill(0);
+        result.push(1);
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QRCode.reedSolomonMultiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = QRCode.reedSolomonMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QRCode.reedSolomonMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        // Timing patterns
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with separators
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        // Alignment patterns, except where they would overlap the finders
+        const positions = this.getAlignmentPatternPositions();
+        const count = positions.length;
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < count; j++) {
+                const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === count - 1) || (i === count - 1 && j === 0);
+                if (!overlapsFinder) {
+                    this.drawAlignmentPattern(positions[i], positions[j]);
+                }
+            }
+        }
+
+        // Reserve format areas now; real bits are drawn once the mask is known
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+
+    drawFinderPattern(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    getAlignmentPatternPositions() {
+        if (this.version === 1) {
+            return [];
+        }
+
+        const numAlign = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = this.size - 7; result.length < numAlign; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    drawFormatBits(mask) {
+        const data = (this.ecc.formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        // Copy around the top-left finder
+        for (let i = 0; i <= 5; i++) {
+            this.setFunctionModule(8, i, bit(i));
+        }
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunctionModule(14 - i, 8, bit(i));
+        }
+
+        // Copy split between the other two finders
+        for (let i = 0; i < 8; i++) {
+            this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        }
+        this.setFunctionModule(8, this.size - 8, true); // always-dark module
+    }
+
+    drawVersion() {
+        if (this.version < 7) {
+            return;
+        }
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, dark);
+            this.setFunctionModule(b, a, dark);
+        }
+    }
+
+    // Zig-zag placement of data bits in two-module-wide columns
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) {
+                right = 5; // skip the vertical timing column
+            }
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && patterns[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    getPenaltyScore() {
+        let penalty = 0;
+        const lines = [];
+        for (let i = 0; i < this.size; i++) {
+            lines.push(this.modules[i].map(dark => (dark ? '1' : '0')).join(''));
+            lines.push(this.modules.map(row => (row[i] ? '1' : '0')).join(''));
+        }
+
+        lines.forEach(line => {
+            // Runs of five or more same-colored modules
+            (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+                penalty += run.length - 2;
+            });
+
+            // Finder-like patterns
+            for (let i = line.indexOf('1011101'); i !== -1; i = line.indexOf('1011101', i + 1)) {
+                const before = line.slice(Math.max(0, i - 4), i).padStart(4, '0');
+                const after = line.slice(i + 7, i + 11).padEnd(4, '0');
+                if (before === '0000' || after === '0000') {
+                    penalty += 40;
+                }
+            }
+        });
+
+        // 2x2 blocks of the same color
+        let dark = 0;
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                const color = this.modules[y][x];
+                if (color) {
+                    dark++;
+                }
+                if (x < this.size - 1 && y < this.size - 1 &&
+                    color === this.modules[y][x + 1] &&
+                    color === this.modules[y + 1][x] &&
+                    color === this.modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Imbalance between dark and light modules
+        const total = this.size * this.size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        penalty += Math.max(0, k) * 10;
+
+        return penalty;
+    }
+}
+
+// Draw a QR code for text onto a canvas, with the standard four-module quiet zone
+function renderQRCode(canvas, text, options = {}) {
+    const qr = new QRCode(text, options.eccLevel || 'M');
+    const scale = options.scale || 4;
+    const border = 4;
+    const dimension = (qr.size + border * 2) * scale;
+
+    canvas.width = dimension;
+    canvas.height = dimension;
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = options.background || '#ffffff';
+    context.fillRect(0, 0, dimension, dimension);
+    context.fillStyle = options.foreground || '#000000';
+
+    for (let y = 0; y < qr.size; y++) {
+        for (let x = 0; x < qr.size; x++) {
+            if (qr.modules[y][x]) {
+                context.fillRect((x + border) * scale, (y + border) * scale, scale, scale);
+            }
+        }
+    }
+
+    return qr;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QRCode,
+        renderQRCode
+    };
+}
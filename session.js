@@ -0,0 +1,186 @@
+// Session Management
+// Issues random session ids with idle and absolute expiry, synchronized across tabs via localStorage
+
+const SESSION_STORAGE_KEY = 'session';
+
+const DEFAULT_SESSION_OPTIONS = {
+    idleTimeout: 30 * 60 * 1000,            // 30 minutes without activity
+    absoluteLifetime: 24 * 60 * 60 * 1000,  // 24 hours regardless of activity
+    activityWriteInterval: 30 * 1000,       // how often activity is persisted
+    checkInterval: 30 * 1000                // how often expiry is checked
+};
+
+// Interactions that count as real user activity
+const SESSION_ACTIVITY_EVENTS = ['mousedown', 'keydown', 'scroll', 'touchstart'];
+
+class SessionManager {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_SESSION_OPTIONS, ...options };
+        this.endListeners = [];
+        this.lastActivityWrite = 0;
+
+        const session = this.loadSession();
+        this.sessionId = session ? session.id : null;
+
+        this.setupActivityTracking();
+        this.setupCrossTabSync();
+        setInterval(() => this.validate(), this.options.checkInterval);
+    }
+
+    loadSession() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        } catch (error) {
+            console.error('Error loading session:', error);
+            return null;
+        }
+    }
+
+    saveSession(session) {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    }
+
+    // 128-bit random hex id
+    generateSessionId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Start a new session for a user, replacing any existing one
+    start(userId) {
+        const now = Date.now();
+        const session = {
+            id: this.generateSessionId(),
+            userId,
+            createdAt: now,
+            lastActivity: now,
+            expiresAt: now + this.options.absoluteLifetime
+        };
+
+        this.sessionId = session.id;
+        this.lastActivityWrite = now;
+        this.saveSession(session);
+        return session;
+    }
+
+    getSession() {
+        return this.loadSession();
+    }
+
+    // Returns 'idle', 'absolute' or null if the session is still alive
+    getExpiryReason(session, now = Date.now()) {
+        if (now >= session.expiresAt) {
+            return 'absolute';
+        }
+        if (now - session.lastActivity >= this.options.idleTimeout) {
+            return 'idle';
+        }
+        return null;
+    }
+
+    isValid(userId = null) {
+        const session = this.loadSession();
+        if (!session || this.getExpiryReason(session)) {
+            return false;
+        }
+        return userId === null || session.userId === userId;
+    }
+
+    // Record user activity, persisted at most once per activityWriteInterval
+    touch() {
+        const now = Date.now();
+        if (now - this.lastActivityWrite < this.options.activityWriteInterval) {
+            return;
+        }
+
+        const session = this.loadSession();
+        if (!session || this.getExpiryReason(session, now)) {
+            return;
+        }
+
+        this.lastActivityWrite = now;
+        session.lastActivity = now;
+        this.saveSession(session);
+    }
+
+    // End the session if it has expired; returns whether a live session exists
+    validate() {
+        const session = this.loadSession();
+        if (!session) {
+            return false;
+        }
+
+        if (this.getExpiryReason(session)) {
+            this.end('expired');
+            return false;
+        }
+        return true;
+    }
+
+    // End the session in this tab; other tabs pick it up through the storage event
+    end(reason = 'logout') {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+        this.sessionId = null;
+        this.notifyEnd(reason);
+    }
+
+    // Subscribe to session end ('logout', 'deleted', 'expired' or 'replaced')
+    onEnd(callback) {
+        this.endListeners.push(callback);
+    }
+
+    notifyEnd(reason) {
+        this.endListeners.forEach(callback => {
+            try {
+                callback(reason);
+            } catch (error) {
+                console.error('Session end handler error:', error);
+            }
+        });
+    }
+
+    setupActivityTracking() {
+        const recordActivity = () => this.touch();
+        SESSION_ACTIVITY_EVENTS.forEach(eventType => {
+            document.addEventListener(eventType, recordActivity, { passive: true });
+        });
+    }
+
+    setupCrossTabSync() {
+        window.addEventListener('storage', (event) => {
+            // event.key is null when another tab clears localStorage entirely
+            if (event.key !== SESSION_STORAGE_KEY && event.key !== null) {
+                return;
+            }
+
+            const knownId = this.sessionId;
+            const newSession = event.newValue ? JSON.parse(event.newValue) : null;
+
+            if (!newSession) {
+                if (knownId) {
+                    const oldSession = event.oldValue ? JSON.parse(event.oldValue) : null;
+                    this.sessionId = null;
+                    this.notifyEnd(oldSession && this.getExpiryReason(oldSession) ? 'expired' : 'logout');
+                }
+                return;
+            }
+
+            // Another tab signed in as someone else (or again)
+            if (newSession.id !== knownId) {
+                this.sessionId = newSession.id;
+                this.notifyEnd('replaced');
+            }
+        });
+    }
+}
+
+// Initialize session manager
+const sessionManager = new SessionManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SessionManager,
+        sessionManager
+    };
+}
@@ -1,15 +1,347 @@
 // Speech Recognition and Synthesis Utilities
 // Provides enhanced functionality for Web Speech API
 
+// Errors after which a continuous session restarts recognition instead of ending
+const RECOVERABLE_RECOGNITION_ERRORS = ['no-speech', 'network', 'aborted'];
+const RECOGNITION_RESTART_BASE_DELAY = 250;    // ms before the first restart
+const RECOGNITION_RESTART_MAX_DELAY = 8000;    // back-off ceiling for repeated failed restarts
+
+const RECOGNITION_ERROR_MESSAGES = {
+    'no-speech': 'No speech detected. Please try again.',
+    'audio-capture': 'Microphone not accessible. Please check permissions.',
+    'not-allowed': 'Microphone permission denied. Please allow microphone access.',
+    'network': 'Network error occurred. Please check your connection.'
+};
+
+// Audio file transcription runs an offline backend in a worker; pages or deployments configure the backend
+const TRANSCRIPTION_WORKER_URL = 'transcription-worker.js';
+const TRANSCRIPTION_SAMPLE_RATE = 16000;   // PCM rate handed to backends unless they ask for another
+
+// Speech engines create SpeechRecognition-like objects and provide a speechSynthesis-like object,
+// so SpeechManager drives the browser's Web Speech API and the simulated engine the same way
+const BROWSER_SPEECH_ENGINE = {
+    name: 'browser',
+    usesMicrophone: true,
+    supportsRecognition: () => 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window,
+    supportsSynthesis: () => 'speechSynthesis' in window,
+    createRecognition() {
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        return new SpeechRecognition();
+    },
+    getSynthesis: () => window.speechSynthesis,
+    createUtterance: (text) => new SpeechSynthesisUtterance(text)
+};
+
+// Script for the simulated engine. Each recognition entry is one run (one start() call) made of
+// steps at ms offsets from the start of the run; runs past the last one hear nothing until stopped.
+//   { at, interim: 'text' }
+//   { at, final: 'text', confidence, alternatives: [{ transcript, confidence }] }
+//   { at, error: 'no-speech' }      reported like a browser error, then the run ends
+//   { at, end: true }               the run ends as if the browser timed out
+// Synthesis speaks one word per wordDuration ms (divided by the rate); when error is set,
+// utterances fail with it after errorAfterWords words
+const DEFAULT_SIMULATION_SCRIPT = {
+    recognition: [[
+        { at: 600, interim: 'welcome' },
+        { at: 1100, interim: 'welcome to digi' },
+        { at: 1600, final: 'welcome to DigiTalk period', confidence: 0.94, alternatives: [{ transcript: 'welcome to digital', confidence: 0.41 }] },
+        { at: 2600, interim: 'this transcript comes' },
+        { at: 3400, final: 'this transcript comes from the simulated speech engine period', confidence: 0.88 },
+        { at: 4600, final: 'no microphone needed', confidence: 0.72, alternatives: [{ transcript: 'no microphone kneaded', confidence: 0.3 }] }
+    ]],
+    synthesis: { wordDuration: 250, error: null, errorAfterWords: 1 },
+    voices: [
+        { name: 'Simulated English (US)', lang: 'en-US', default: true },
+        { name: 'Simulated English (UK)', lang: 'en-GB', default: false }
+    ]
+};
+
+class SimulatedSpeechRecognition {
+    constructor(nextRun) {
+        this.nextRun = nextRun;
+        this.lang = 'en-US';
+        this.continuous = false;
+        this.interimResults = false;
+        this.maxAlternatives = 1;
+        this.onstart = null;
+        this.onresult = null;
+        this.onerror = null;
+        this.onend = null;
+        this.running = false;
+        this.timers = [];
+        this.results = [];
+    }
+
+    start() {
+        if (this.running) {
+            const error = new Error('Recognition has already started');
+            error.name = 'InvalidStateError';
+            throw error;
+        }
+
+        this.running = true;
+        this.results = [];
+        this.schedule(0, () => {
+            if (this.onstart) this.onstart();
+        });
+        this.nextRun().forEach(step => this.schedule(step.at || 0, () => this.runStep(step)));
+    }
+
+    stop() {
+        if (this.running) {
+            this.finish();
+        }
+    }
+
+    abort() {
+        this.stop();
+    }
+
+    schedule(delay, callback) {
+        this.timers.push(setTimeout(callback, delay));
+    }
+
+    runStep(step) {
+        if (step.error) {
+            if (this.onerror) this.onerror({ error: step.error, message: '' });
+            this.finish();
+            return;
+        }
+        if (step.end) {
+            this.finish();
+            return;
+        }
+
+        const isFinal = step.final !== undefined;
+        if (!isFinal && !this.interimResults) {
+            return;
+        }
+
+        // Shaped like SpeechRecognitionResult: alternatives by index, plus isFinal
+        const result = [
+            { transcript: isFinal ? step.final : step.interim, confidence: step.confidence ?? (isFinal ? 0.9 : 0) },
+            ...(step.alternatives || [])
+        ].slice(0, Math.max(1, this.maxAlternatives));
+        result.isFinal = isFinal;
+
+        // An interim result is replaced by the next one until it becomes final
+        const last = this.results[this.results.length - 1];
+        const index = last && !last.isFinal ? this.results.length - 1 : this.results.length;
+        this.results[index] = result;
+        if (this.onresult) this.onresult({ resultIndex: index, results: this.results });
+
+        if (isFinal && !this.continuous) {
+            this.finish();
+        }
+    }
+
+    finish() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+        this.running = false;
+        setTimeout(() => {
+            if (this.onend) this.onend();
+        }, 0);
+    }
+}
+
+class SimulatedSpeechUtterance {
+    constructor(text = '') {
+        this.text = text;
+        this.lang = '';
+        this.voice = null;
+        this.rate = 1;
+        this.pitch = 1;
+        this.volume = 1;
+        this.onstart = null;
+        this.onend = null;
+        this.onerror = null;
+        this.onpause = null;
+        this.onresume = null;
+        this.onboundary = null;
+    }
+}
+
+class SimulatedSpeechSynthesis {
+    constructor(options = {}, voices = []) {
+        this.options = { ...DEFAULT_SIMULATION_SCRIPT.synthesis, ...options };
+        this.voices = voices.map(voice => ({ voiceURI: voice.name, localService: true, default: false, ...voice }));
+        this.queue = [];
+        this.current = null;     // { utterance, words, wordIndex, startedAt }
+        this.timer = null;
+        this.speaking = false;
+        this.pending = false;
+        this.paused = false;
+        this.onvoiceschanged = null;
+    }
+
+    getVoices() {
+        return this.voices.slice();
+    }
+
+    speak(utterance) {
+        this.queue.push(utterance);
+        this.pending = true;
+        if (!this.current) {
+            this.next();
+        }
+    }
+
+    cancel() {
+        this.queue = [];
+        this.pending = false;
+        if (this.current) {
+            this.finishUtterance('end');
+        }
+    }
+
+    pause() {
+        if (this.current && !this.paused) {
+            this.paused = true;
+            clearTimeout(this.timer);
+            this.fire(this.current, 'pause');
+        }
+    }
+
+    resume() {
+        if (this.current && this.paused) {
+            this.paused = false;
+            this.fire(this.current, 'resume');
+            this.speakWord();
+        }
+    }
+
+    next() {
+        const utterance = this.queue.shift();
+        this.pending = this.queue.length > 0;
+        if (!utterance) {
+            return;
+        }
+
+        const words = [];
+        const pattern = /\S+/g;
+        let match;
+        while ((match = pattern.exec(utterance.text)) !== null) {
+            words.push({ charIndex: match.index, charLength: match[0].length });
+        }
+
+        this.current = { utterance, words, wordIndex: 0, startedAt: Date.now() };
+        this.speaking = true;
+        this.timer = setTimeout(() => {
+            this.fire(this.current, 'start');
+            this.speakWord();
+        }, 0);
+    }
+
+    speakWord() {
+        const current = this.current;
+        const { error, errorAfterWords, wordDuration } = this.options;
+        if (error && current.wordIndex >= errorAfterWords) {
+            this.finishUtterance('error', { error });
+            return;
+        }
+        if (current.wordIndex >= current.words.length) {
+            this.finishUtterance('end');
+            return;
+        }
+
+        this.fire(current, 'boundary', { name: 'word', ...current.words[current.wordIndex] });
+        current.wordIndex++;
+        this.timer = setTimeout(() => this.speakWord(), wordDuration / (current.utterance.rate || 1));
+    }
+
+    finishUtterance(type, details = {}) {
+        const current = this.current;
+        clearTimeout(this.timer);
+        this.current = null;
+        this.speaking = false;
+        this.paused = false;
+        this.fire(current, type, details);
+
+        // The handler may already have queued and started the next utterance
+        if (!this.current) {
+            this.next();
+        }
+    }
+
+    fire({ utterance, words, wordIndex, startedAt }, type, details = {}) {
+        const handler = utterance[`on${type}`];
+        if (handler) {
+            const word = words[Math.min(wordIndex, words.length - 1)];
+            handler.call(utterance, {
+                type,
+                utterance,
+                charIndex: word ? word.charIndex : 0,
+                elapsedTime: Date.now() - startedAt,
+                ...details
+            });
+        }
+    }
+}
+
+// Engine that replays a script instead of listening and speaking; see DEFAULT_SIMULATION_SCRIPT
+function createSimulatedSpeechEngine(script = DEFAULT_SIMULATION_SCRIPT) {
+    const runs = script.recognition || [];
+    const synthesis = new SimulatedSpeechSynthesis(script.synthesis, script.voices || DEFAULT_SIMULATION_SCRIPT.voices);
+    let runIndex = 0;
+
+    return {
+        name: 'simulated',
+        usesMicrophone: false,
+        script,
+        supportsRecognition: () => true,
+        supportsSynthesis: () => true,
+        createRecognition: () => new SimulatedSpeechRecognition(() => runs[runIndex++] || []),
+        getSynthesis: () => synthesis,
+        createUtterance: (text) => new SimulatedSpeechUtterance(text)
+    };
+}
+
+// ?speechEngine=simulated in the URL or the speechEngine preference picks the simulated engine.
+// Demos and tests can set window.DIGITALK_SPEECH_SCRIPT before speech.js loads to script it
+function getRequestedSpeechEngine() {
+    const requested = new URLSearchParams(window.location.search).get('speechEngine')
+        || (typeof getPreferences === 'function' ? getPreferences().speechEngine : null);
+    return requested === 'simulated'
+        ? createSimulatedSpeechEngine(window.DIGITALK_SPEECH_SCRIPT || DEFAULT_SIMULATION_SCRIPT)
+        : BROWSER_SPEECH_ENGINE;
+}
+
 class SpeechManager {
     constructor() {
+        this.engine = null;
         this.recognition = null;
-        this.synthesis = window.speechSynthesis;
+        this.synthesis = null;
         this.voices = [];
         this.isListening = false;
         this.isSpeaking = false;
         this.currentUtterance = null;
-        
+        this.recognitionSession = null;
+        this.transcriptionBackend = null;
+        this.transcriptionWorker = null;
+        this.transcriptionJobs = new Map();
+        this.transcriptionJobCount = 0;
+
+        this.setEngine(getRequestedSpeechEngine());
+        this.setTranscriptionBackend(window.DIGITALK_TRANSCRIPTION_BACKEND || null);
+    }
+
+    // Switch engines (BROWSER_SPEECH_ENGINE or one from createSimulatedSpeechEngine); running speech is stopped
+    setEngine(engine) {
+        if (this.recognitionSession) {
+            this.stopRecognition();
+        }
+        if (this.isSpeaking) {
+            this.stopSpeaking();
+        }
+        if (this.synthesis && this.synthesis.onvoiceschanged) {
+            this.synthesis.onvoiceschanged = null;
+        }
+
+        this.engine = engine;
+        this.recognition = null;
+        this.synthesis = null;
+        this.voices = [];
         this.initializeSpeechRecognition();
         this.initializeSpeechSynthesis();
     }
@@ -21,8 +353,7 @@ class SpeechManager {
             return;
         }
 
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        this.recognition = new SpeechRecognition();
+        this.recognition = this.engine.createRecognition();
         
         // Default configuration
         this.recognition.continuous = true;
@@ -38,6 +369,7 @@ class SpeechManager {
             return;
         }
 
+        this.synthesis = this.engine.getSynthesis();
         this.loadVoices();
         
         // Load voices when they become available
@@ -48,12 +380,12 @@ class SpeechManager {
 
     // Check if speech recognition is supported
     isSpeechRecognitionSupported() {
-        return 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window;
+        return this.engine.supportsRecognition();
     }
 
     // Check if speech synthesis is supported
     isSpeechSynthesisSupported() {
-        return 'speechSynthesis' in window;
+        return this.engine.supportsSynthesis();
     }
 
     // Load available voices (English only)
@@ -84,82 +416,253 @@ class SpeechManager {
         return languageVoices.find(voice => voice.default) || languageVoices[0] || this.voices[0];
     }
 
-    // Start speech recognition
+    // Start a recognition session; resolves with the final transcript when it ends.
+    // With continuousSession the session survives browser timeouts and recoverable errors until stopRecognition()
     startRecognition(options = {}) {
         if (!this.recognition) {
             throw new Error('Speech recognition not available');
         }
 
-        if (this.isListening) {
-            this.stopRecognition();
+        if (this.recognitionSession) {
+            throw new Error('Speech recognition is already running');
         }
 
         // Apply options
         if (options.language) this.recognition.lang = options.language;
         if (options.continuous !== undefined) this.recognition.continuous = options.continuous;
         if (options.interimResults !== undefined) this.recognition.interimResults = options.interimResults;
+        if (options.maxAlternatives !== undefined) this.recognition.maxAlternatives = options.maxAlternatives;
 
         return new Promise((resolve, reject) => {
-            let finalTranscript = '';
-            let interimTranscript = '';
+            const session = {
+                continuousSession: Boolean(options.continuousSession),
+                startedAt: Date.now(),
+                runs: 0,
+                finalTranscript: '',
+                lastFinalIndex: -1,     // last final result handled in the current run
+                resultStartTimes: [],   // when each result of the current run was first heard
+                lastResultEnd: 0,       // ms offset where the previous final result ended
+                restartAttempts: 0,
+                restartTimer: null,
+                lastError: null,
+                fatalError: null,
+                stopping: false,
+                resolve,
+                reject
+            };
+            this.recognitionSession = session;
 
             this.recognition.onstart = () => {
+                // Stopped while a restart was starting up
+                if (this.recognitionSession !== session) {
+                    this.recognition.abort();
+                    return;
+                }
+
                 this.isListening = true;
-                this.dispatchEvent('recognitionStart');
+                session.lastFinalIndex = -1;
+                session.resultStartTimes = [];
+                session.lastError = null;
+                this.dispatchEvent('recognitionStart', {
+                    restart: session.runs > 0,
+                    sessionStartedAt: session.startedAt
+                });
+                session.runs++;
             };
 
-            this.recognition.onresult = (event) => {
-                interimTranscript = '';
-                
-                for (let i = event.resultIndex; i < event.results.length; i++) {
-                    const transcript = event.results[i][0].transcript;
-                    const confidence = event.results[i][0].confidence;
-                    
-                    if (event.results[i].isFinal) {
-                        finalTranscript += transcript + ' ';
-                        this.dispatchEvent('recognitionResult', {
-                            transcript: finalTranscript.trim(),
-                            isFinal: true,
-                            confidence: confidence
-                        });
-                    } else {
-                        interimTranscript += transcript;
-                        this.dispatchEvent('recognitionResult', {
-                            transcript: interimTranscript,
-                            isFinal: false,
-                            confidence: confidence
-                        });
-                    }
+            this.recognition.onresult = (event) => this.handleRecognitionResult(session, event);
+            this.recognition.onerror = (event) => this.handleRecognitionError(session, event.error);
+            this.recognition.onend = () => this.handleRecognitionEnd(session);
+
+            try {
+                this.recognition.start();
+            } catch (error) {
+                session.fatalError = 'start-failed';
+                this.dispatchEvent('recognitionError', {
+                    error: session.fatalError,
+                    message: `Failed to start speech recognition: ${error.message}`,
+                    recoverable: false
+                });
+                this.finishRecognitionSession(session);
+            }
+        });
+    }
+
+    handleRecognitionResult(session, event) {
+        const now = Date.now();
+        let interimTranscript = '';
+        let interimConfidence = 0;
+
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            const result = event.results[i];
+            if (session.resultStartTimes[i] === undefined) {
+                session.resultStartTimes[i] = now;
+            }
+
+            if (result.isFinal) {
+                // Some browsers deliver the same final result again; handle each index once
+                if (i <= session.lastFinalIndex) {
+                    continue;
                 }
-            };
+                session.lastFinalIndex = i;
+                session.restartAttempts = 0;
+                session.finalTranscript += result[0].transcript + ' ';
+
+                // The API has no timings, so a result spans from its first interim to its final,
+                // relative to the session start and never overlapping the previous result
+                const startTime = Math.max(session.resultStartTimes[i] - session.startedAt, session.lastResultEnd);
+                const endTime = Math.max(now - session.startedAt, startTime);
+                session.lastResultEnd = endTime;
+
+                this.dispatchEvent('recognitionResult', {
+                    transcript: session.finalTranscript.trim(),
+                    text: result[0].transcript,
+                    isFinal: true,
+                    confidence: result[0].confidence,
+                    startTime,
+                    endTime,
+                    alternatives: Array.from(result, alternative => ({
+                        transcript: alternative.transcript,
+                        confidence: alternative.confidence
+                    }))
+                });
+            } else {
+                interimTranscript += result[0].transcript;
+                interimConfidence = result[0].confidence;
+            }
+        }
 
-            this.recognition.onerror = (event) => {
-                this.isListening = false;
-                this.dispatchEvent('recognitionError', { error: event.error });
-                reject(new Error(`Speech recognition error: ${event.error}`));
-            };
+        if (interimTranscript) {
+            this.dispatchEvent('recognitionResult', {
+                transcript: interimTranscript,
+                text: interimTranscript,
+                isFinal: false,
+                confidence: interimConfidence
+            });
+        }
+    }
 
-            this.recognition.onend = () => {
-                this.isListening = false;
-                this.dispatchEvent('recognitionEnd', { transcript: finalTranscript.trim() });
-                resolve(finalTranscript.trim());
-            };
+    handleRecognitionError(session, error) {
+        const recoverable = session.continuousSession && RECOVERABLE_RECOGNITION_ERRORS.includes(error);
+        session.lastError = error;
+        if (!recoverable) {
+            session.fatalError = error;
+        }
+
+        // onend follows, and either restarts recognition or ends the session
+        this.dispatchEvent('recognitionError', {
+            error,
+            message: this.getRecognitionErrorMessage(error),
+            recoverable
+        });
+    }
+
+    handleRecognitionEnd(session) {
+        const started = this.isListening;
+        this.isListening = false;
+        if (this.recognitionSession !== session) {
+            return;
+        }
 
+        if (session.continuousSession && !session.stopping && !session.fatalError) {
+            // A run that started and ended quietly (silence, the browser's time limit) is not a failed restart
+            if (started && (!session.lastError || session.lastError === 'no-speech')) {
+                session.restartAttempts = 0;
+            }
+            this.scheduleRecognitionRestart(session);
+            return;
+        }
+
+        this.finishRecognitionSession(session);
+    }
+
+    // Restart after the browser ends recognition; delays double while restarts fail to start or end in errors
+    scheduleRecognitionRestart(session) {
+        const delay = Math.min(
+            RECOGNITION_RESTART_BASE_DELAY * Math.pow(2, session.restartAttempts),
+            RECOGNITION_RESTART_MAX_DELAY
+        );
+        session.restartAttempts++;
+
+        this.dispatchEvent('recognitionRestart', {
+            attempt: session.restartAttempts,
+            delay,
+            error: session.lastError,
+            transcript: session.finalTranscript.trim()
+        });
+
+        session.restartTimer = setTimeout(() => {
+            session.restartTimer = null;
+            if (this.recognitionSession !== session) {
+                return;
+            }
             try {
                 this.recognition.start();
             } catch (error) {
-                reject(error);
+                console.error('Failed to restart speech recognition:', error);
+                this.scheduleRecognitionRestart(session);
             }
+        }, delay);
+    }
+
+    finishRecognitionSession(session) {
+        clearTimeout(session.restartTimer);
+        session.restartTimer = null;
+        if (this.recognitionSession === session) {
+            this.recognitionSession = null;
+        }
+
+        const transcript = session.finalTranscript.trim();
+        this.dispatchEvent('recognitionEnd', {
+            transcript,
+            error: session.fatalError,
+            duration: Date.now() - session.startedAt
         });
+
+        if (session.fatalError) {
+            session.reject(new Error(`Speech recognition error: ${session.fatalError}`));
+        } else {
+            session.resolve(transcript);
+        }
     }
 
-    // Stop speech recognition
+    // Stop speech recognition, ending a continuous session as well
     stopRecognition() {
-        if (this.recognition && this.isListening) {
+        const session = this.recognitionSession;
+        if (!session) {
+            if (this.recognition && this.isListening) {
+                this.recognition.stop();
+            }
+            return;
+        }
+
+        session.stopping = true;
+        if (this.isListening) {
+            // onend finishes the session
             this.recognition.stop();
+        } else {
+            // Between restarts there is no onend to wait for
+            this.finishRecognitionSession(session);
         }
     }
 
+    // Applies to the current session from its next restart
+    setRecognitionLanguage(language) {
+        if (this.recognition) {
+            this.recognition.lang = language;
+        }
+    }
+
+    setContinuousSession(enabled) {
+        if (this.recognitionSession) {
+            this.recognitionSession.continuousSession = Boolean(enabled);
+        }
+    }
+
+    getRecognitionErrorMessage(error) {
+        return RECOGNITION_ERROR_MESSAGES[error] || 'Speech recognition error occurred.';
+    }
+
     // Speak text using speech synthesis
     speak(text, options = {}) {
         if (!this.synthesis) {
@@ -176,7 +679,7 @@ class SpeechManager {
                 return;
             }
 
-            this.currentUtterance = new SpeechSynthesisUtterance(text);
+            this.currentUtterance = this.createUtterance(text);
             
             // Apply options
             if (options.voice) {
@@ -223,6 +726,11 @@ class SpeechManager {
         });
     }
 
+    // Utterance for the current engine's synthesis
+    createUtterance(text) {
+        return this.engine.createUtterance(text);
+    }
+
     // Stop speech synthesis
     stopSpeaking() {
         if (this.synthesis) {
@@ -275,11 +783,158 @@ class SpeechManager {
         document.removeEventListener(`speech:${eventType}`, callback);
     }
 
-    // Convert audio to text (for future file upload feature)
+    // Subscribe to a speech event with a callback that receives the event detail.
+    // Returns a function that removes just this listener
+    on(eventType, callback) {
+        const listener = (event) => callback(event.detail);
+        this.addEventListener(eventType, listener);
+        return () => this.removeEventListener(eventType, listener);
+    }
+
+    // backend: { name, scriptUrl, sampleRate, options }; scriptUrl is loaded in the worker (see transcription-worker.js)
+    setTranscriptionBackend(backend) {
+        this.transcriptionBackend = backend
+            ? { sampleRate: TRANSCRIPTION_SAMPLE_RATE, options: {}, ...backend }
+            : null;
+
+        // Jobs in flight belong to the old backend
+        if (this.transcriptionWorker) {
+            this.failTranscriptionJobs('The transcription backend was changed');
+            this.transcriptionWorker.terminate();
+            this.transcriptionWorker = null;
+        }
+    }
+
+    isAudioTranscriptionSupported() {
+        return Boolean(this.transcriptionBackend && typeof Worker !== 'undefined' && getOfflineAudioContextClass());
+    }
+
+    // Transcribe a recorded file (WAV, MP3, OGG, WebM or anything else the browser decodes).
+    // options: language, onProgress(0-1) and signal, an AbortSignal that cancels the job.
+    // Resolves with { segments: [{ text, confidence, startTime, endTime }], duration } in ms
     async convertAudioToText(audioFile, options = {}) {
-        // This would require a backend service or Web Audio API
-        // For now, return a placeholder implementation
-        throw new Error('Audio file conversion not implemented in this version');
+        if (!this.transcriptionBackend) {
+            throw new Error('No offline speech recognition backend is configured');
+        }
+        if (!this.isAudioTranscriptionSupported()) {
+            throw new Error('Audio file transcription is not supported in this browser');
+        }
+
+        throwIfTranscriptionCancelled(options.signal);
+        const audio = await this.decodeAudioFile(audioFile, this.transcriptionBackend.sampleRate);
+        throwIfTranscriptionCancelled(options.signal);
+
+        const segments = await this.runTranscriptionJob(audio, options);
+        return {
+            segments: (Array.isArray(segments) ? segments : [])
+                .map(segment => ({
+                    text: String(segment.text || '').trim(),
+                    confidence: typeof segment.confidence === 'number' ? segment.confidence : null,
+                    startTime: Number(segment.startTime),
+                    endTime: Number(segment.endTime)
+                }))
+                .filter(segment => segment.text),
+            duration: audio.duration
+        };
+    }
+
+    // Decoding into an offline context resamples to the backend's rate; channels are mixed down to mono
+    async decodeAudioFile(audioFile, sampleRate) {
+        const OfflineContext = getOfflineAudioContextClass();
+        const context = new OfflineContext(1, 1, sampleRate);
+
+        let buffer;
+        try {
+            buffer = await context.decodeAudioData(await audioFile.arrayBuffer());
+        } catch (error) {
+            throw new Error(`Unable to decode ${audioFile.name || 'the audio file'}. Use WAV, MP3, OGG or WebM audio`);
+        }
+
+        return {
+            pcm: mixToMono(buffer),
+            sampleRate: buffer.sampleRate,
+            duration: Math.round(buffer.duration * 1000)
+        };
+    }
+
+    getTranscriptionWorker() {
+        if (!this.transcriptionWorker) {
+            const worker = new Worker(TRANSCRIPTION_WORKER_URL);
+            worker.onmessage = (event) => this.handleTranscriptionMessage(event.data);
+            worker.onerror = (event) => {
+                event.preventDefault();
+                this.failTranscriptionJobs(event.message || 'The transcription worker failed');
+                worker.terminate();
+                if (this.transcriptionWorker === worker) {
+                    this.transcriptionWorker = null;
+                }
+            };
+            this.transcriptionWorker = worker;
+        }
+        return this.transcriptionWorker;
+    }
+
+    runTranscriptionJob({ pcm, sampleRate }, { language, signal, onProgress } = {}) {
+        const worker = this.getTranscriptionWorker();
+        const jobId = ++this.transcriptionJobCount;
+        const { scriptUrl, options } = this.transcriptionBackend;
+
+        return new Promise((resolve, reject) => {
+            const job = { resolve, reject, onProgress, signal, onAbort: null };
+            if (signal) {
+                job.onAbort = () => {
+                    worker.postMessage({ type: 'cancel', jobId });
+                    this.settleTranscriptionJob(jobId);
+                    reject(createTranscriptionCancelledError());
+                };
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+            this.transcriptionJobs.set(jobId, job);
+
+            // The samples are transferred, not copied; the page does not need them again
+            worker.postMessage({
+                type: 'transcribe',
+                jobId,
+                backend: { scriptUrl, options },
+                pcm,
+                sampleRate,
+                language: language || (this.recognition ? this.recognition.lang : 'en-US')
+            }, [pcm.buffer]);
+        });
+    }
+
+    handleTranscriptionMessage({ type, jobId, progress, segments, message }) {
+        const job = this.transcriptionJobs.get(jobId);
+        if (!job) {
+            return;
+        }
+
+        if (type === 'progress') {
+            if (job.onProgress) {
+                job.onProgress(progress);
+            }
+        } else if (type === 'result') {
+            this.settleTranscriptionJob(jobId);
+            job.resolve(segments);
+        } else if (type === 'error') {
+            this.settleTranscriptionJob(jobId);
+            job.reject(new Error(message));
+        }
+    }
+
+    settleTranscriptionJob(jobId) {
+        const job = this.transcriptionJobs.get(jobId);
+        if (job && job.signal) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
+        this.transcriptionJobs.delete(jobId);
+    }
+
+    failTranscriptionJobs(message) {
+        Array.from(this.transcriptionJobs.entries()).forEach(([jobId, job]) => {
+            this.settleTranscriptionJob(jobId);
+            job.reject(new Error(message));
+        });
     }
 
     // Get microphone permission status
@@ -308,6 +963,7 @@ class SpeechManager {
     // Check browser compatibility
     getCompatibilityInfo() {
         return {
+            engine: this.engine.name,
             speechRecognition: {
                 supported: this.isSpeechRecognitionSupported(),
                 vendor: 'webkitSpeechRecognition' in window ? 'webkit' : 'standard'
@@ -317,7 +973,7 @@ class SpeechManager {
                 voiceCount: this.voices.length
             },
             mediaDevices: 'mediaDevices' in navigator,
-            getUserMedia: 'getUserMedia' in navigator.mediaDevices,
+            getUserMedia: !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia),
             permissions: 'permissions' in navigator
         };
     }
@@ -461,6 +1117,11 @@ function removeSpeechEventListener(eventType, callback) {
     speechManager.removeEventListener(eventType, callback);
 }
 
+// Returns an unsubscribe function for this listener
+function onSpeechEvent(eventType, callback) {
+    return speechManager.on(eventType, callback);
+}
+
 // Microphone utilities
 async function checkMicrophonePermission() {
     return await speechManager.getMicrophonePermission();
@@ -506,6 +1167,39 @@ function splitTextForSpeech(text, maxLength = 200) {
     return chunks;
 }
 
+// Audio file transcription utilities
+function getOfflineAudioContextClass() {
+    return window.OfflineAudioContext || window.webkitOfflineAudioContext || null;
+}
+
+function mixToMono(buffer) {
+    if (buffer.numberOfChannels === 1) {
+        return buffer.getChannelData(0).slice();
+    }
+
+    const mono = new Float32Array(buffer.length);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+            mono[i] += data[i] / buffer.numberOfChannels;
+        }
+    }
+    return mono;
+}
+
+// Rejection used when a job's signal aborts; callers can tell it apart from failures by name
+function createTranscriptionCancelledError() {
+    const error = new Error('Transcription cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+function throwIfTranscriptionCancelled(signal) {
+    if (signal && signal.aborted) {
+        throw createTranscriptionCancelledError();
+    }
+}
+
 // Speech rate and pitch utilities
 function normalizeRate(rate) {
     return Math.max(0.1, Math.min(10, rate));
@@ -519,11 +1213,138 @@ function normalizeVolume(volume) {
     return Math.max(0, Math.min(1, volume));
 }
 
-// Audio visualization utilities (for future enhancement)
-function createAudioVisualizer(canvas, audioContext, source) {
-    // Placeholder for audio visualization
-    // This would require Web Audio API implementation
-    console.log('Audio visualizer not implemented in this version');
+// Audio visualization utilities
+const AUDIO_VISUALIZER_INTERVAL = 50;   // ms between level readings; timers keep running in background tabs
+
+// Input levels are RMS amplitudes (0-1) of the microphone signal
+const DEFAULT_VOICE_ACTIVITY_OPTIONS = {
+    voiceThreshold: 0.02,      // level that counts as speech
+    noiseFloor: 0.004,         // below this the input is treated as silent
+    silenceDuration: 0,        // ms without speech before onSilence; 0 turns auto-stop off
+    lowLevelDuration: 4000,    // ms of audible but too-quiet input before onLowLevelChange(true)
+    onSilence: null,
+    onLowLevelChange: null
+};
+
+// Root mean square of time-domain samples
+function getSignalLevel(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+}
+
+function drawWaveform(canvas, samples) {
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    context.clearRect(0, 0, width, height);
+    context.lineWidth = 2;
+    // Follows the canvas's CSS color so the theme decides the stroke
+    context.strokeStyle = getComputedStyle(canvas).color;
+    context.beginPath();
+
+    const step = width / samples.length;
+    for (let i = 0; i < samples.length; i++) {
+        const y = (1 - samples[i]) * height / 2;
+        if (i === 0) {
+            context.moveTo(0, y);
+        } else {
+            context.lineTo(i * step, y);
+        }
+    }
+    context.stroke();
+}
+
+// AnalyserNode on a source; draws the waveform on the canvas (if any) and reports the level through onLevel
+function createAudioVisualizer(canvas, audioContext, source, options = {}) {
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 2048;
+    source.connect(analyser);
+
+    const samples = new Float32Array(analyser.fftSize);
+    let level = 0;
+
+    const timer = setInterval(() => {
+        analyser.getFloatTimeDomainData(samples);
+        level = getSignalLevel(samples);
+        if (canvas && !document.hidden) {
+            drawWaveform(canvas, samples);
+        }
+        if (options.onLevel) {
+            options.onLevel(level);
+        }
+    }, options.interval || AUDIO_VISUALIZER_INTERVAL);
+
+    return {
+        analyser,
+        getLevel: () => level,
+        stop() {
+            clearInterval(timer);
+            source.disconnect(analyser);
+            if (canvas) {
+                canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+            }
+        }
+    };
+}
+
+// Voice activity detection over a stream of levels: reports sustained silence and input that is too quiet to recognize
+function createVoiceActivityDetector(options = {}) {
+    const settings = { ...DEFAULT_VOICE_ACTIVITY_OPTIONS, ...options };
+    let lastVoiceAt = null;
+    let quietSince = null;      // start of the current run of audible-but-quiet input
+    let silenceReported = false;
+    let lowLevel = false;
+
+    function setLowLevel(value) {
+        if (lowLevel !== value) {
+            lowLevel = value;
+            if (settings.onLowLevelChange) {
+                settings.onLowLevelChange(value);
+            }
+        }
+    }
+
+    return {
+        update(level, now = Date.now()) {
+            if (lastVoiceAt === null) {
+                lastVoiceAt = now;
+            }
+
+            if (level >= settings.voiceThreshold) {
+                lastVoiceAt = now;
+                quietSince = null;
+                silenceReported = false;
+                setLowLevel(false);
+            } else if (level >= settings.noiseFloor) {
+                if (quietSince === null) {
+                    quietSince = now;
+                }
+                if (now - quietSince >= settings.lowLevelDuration) {
+                    setLowLevel(true);
+                }
+            } else {
+                quietSince = null;
+            }
+
+            const silentFor = now - lastVoiceAt;
+            if (settings.silenceDuration > 0 && silentFor >= settings.silenceDuration && !silenceReported) {
+                silenceReported = true;
+                if (settings.onSilence) {
+                    settings.onSilence(silentFor);
+                }
+            }
+            return { speaking: silentFor === 0, silentFor, lowLevel };
+        },
+
+        // Change thresholds or durations mid-session; the silence countdown starts over
+        configure(changes) {
+            Object.assign(settings, changes);
+            lastVoiceAt = null;
+            silenceReported = false;
+        }
+    };
 }
 
 // Export for use in other modules
@@ -542,6 +1363,7 @@ if (typeof module !== 'undefined' && module.exports) {
         getSupportedLanguages,
         addSpeechEventListener,
         removeSpeechEventListener,
+        onSpeechEvent,
         checkMicrophonePermission,
         requestMicrophoneAccess,
         getSpeechCompatibility,
@@ -549,7 +1371,12 @@ if (typeof module !== 'undefined' && module.exports) {
         splitTextForSpeech,
         normalizeRate,
         normalizePitch,
-        normalizeVolume
+        normalizeVolume,
+        BROWSER_SPEECH_ENGINE,
+        createSimulatedSpeechEngine,
+        getSignalLevel,
+        createAudioVisualizer,
+        createVoiceActivityDetector
     };
 }
 
@@ -566,20 +1393,6 @@ document.addEventListener('DOMContentLoaded', function() {
         console.warn('Speech synthesis not supported in this browser');
     }
 
-    // Request microphone permission on first interaction
-    let micPermissionRequested = false;
-    document.addEventListener('click', async function requestMicOnFirstClick() {
-        if (!micPermissionRequested) {
-            micPermissionRequested = true;
-            try {
-                await requestMicrophoneAccess();
-            } catch (error) {
-                console.log('Microphone access not granted on first interaction');
-            }
-            document.removeEventListener('click', requestMicOnFirstClick);
-        }
-    });
-
     console.log('Speech utilities initialized', {
         recognition: compatibility.speechRecognition.supported,
         synthesis: compatibility.speechSynthesis.supported,
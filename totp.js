@@ -0,0 +1,146 @@
+// Time-based One-Time Passwords
+// HOTP (RFC 4226) and TOTP (RFC 6238) on top of WebCrypto HMAC; codes are compared with constantTimeEqual from auth.js
+
+const TOTP_DEFAULTS = {
+    digits: 6,
+    period: 30,          // seconds per time step
+    algorithm: 'SHA-1',  // what authenticator apps expect
+    window: 1            // accepted clock drift, in time steps either side
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (let i = 0; i < bytes.length; i++) {
+        value = (value << 8) | bytes[i];
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+// Random shared secret, base32-encoded (160 bits, as RFC 4226 recommends)
+function generateTOTPSecret(byteLength = 20) {
+    return base32Encode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+// HOTP value for a counter; secret is raw bytes
+async function generateHOTP(secret, counter, options = {}) {
+    const { digits, algorithm } = { ...TOTP_DEFAULTS, ...options };
+
+    // 8-byte big-endian counter
+    const message = new Uint8Array(8);
+    let high = Math.floor(counter / 0x100000000);
+    let low = counter >>> 0;
+    for (let i = 7; i >= 4; i--) {
+        message[i] = low & 255;
+        low >>>= 8;
+    }
+    for (let i = 3; i >= 0; i--) {
+        message[i] = high & 255;
+        high >>>= 8;
+    }
+
+    const key = await crypto.subtle.importKey('raw', secret, { name: 'HMAC', hash: algorithm }, false, ['sign']);
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return (binary % Math.pow(10, digits)).toString().padStart(digits, '0');
+}
+
+function getTOTPCounter(time = Date.now(), period = TOTP_DEFAULTS.period) {
+    return Math.floor(time / 1000 / period);
+}
+
+// TOTP value at a time (ms); secret is a base32 string or raw bytes
+async function generateTOTP(secret, options = {}) {
+    const { period, time = Date.now() } = { ...TOTP_DEFAULTS, ...options };
+    const key = typeof secret === 'string' ? base32Decode(secret) : secret;
+    return generateHOTP(key, getTOTPCounter(time, period), options);
+}
+
+// Returns the matching time-step counter, or null; codes at or before afterCounter are rejected as replays
+async function verifyTOTP(secret, code, options = {}) {
+    const { period, window: drift, time = Date.now(), afterCounter = -1 } = { ...TOTP_DEFAULTS, ...options };
+    const normalized = String(code).replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized)) {
+        return null;
+    }
+
+    const key = typeof secret === 'string' ? base32Decode(secret) : secret;
+    const current = getTOTPCounter(time, period);
+
+    for (let counter = current - drift; counter <= current + drift; counter++) {
+        if (counter <= afterCounter) {
+            continue;
+        }
+        const expected = await generateHOTP(key, counter, options);
+        if (constantTimeEqual(expected, normalized)) {
+            return counter;
+        }
+    }
+    return null;
+}
+
+// otpauth:// URI understood by authenticator apps
+function buildOtpauthUri({ secret, account, issuer = 'Digitalk', digits = TOTP_DEFAULTS.digits, period = TOTP_DEFAULTS.period }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(digits),
+        period: String(period)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        base32Encode,
+        base32Decode,
+        generateTOTPSecret,
+        generateHOTP,
+        generateTOTP,
+        verifyTOTP,
+        buildOtpauthUri
+    };
+}
@@ -0,0 +1,344 @@
+// Transcript Formatting
+// Post-processing for speech-to-text output; each stage can be switched off and the raw text is never changed
+
+const DEFAULT_TRANSCRIPT_FORMAT = {
+    collapseWhitespace: true,
+    formatNumbers: true,      // spelled-out numbers, dates and times
+    punctuateOnPause: true,   // end a result with a full stop when a pause follows it
+    capitalize: true,         // sentence starts and "I"
+    dateStyle: 'long',        // 'long' (March 5, 2024), 'iso', 'us' or 'uk'
+    timeStyle: '12h',         // '12h' or '24h'
+    pauseThreshold: 1500      // ms of silence between results that counts as a sentence break
+};
+
+const DATE_STYLES = ['long', 'iso', 'us', 'uk'];
+const TIME_STYLES = ['12h', '24h'];
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const NUMBER_UNITS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+    sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const NUMBER_TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const NUMBER_SCALES = { thousand: 1000, million: 1000000, billion: 1000000000 };
+
+// A year read as two numbers, "nineteen ninety nine" or "twenty twenty four". Centuries run from
+// thirteen to twenty, since "eleven thirty" and "twelve fifteen" are more often clock times
+const SPOKEN_YEAR_PATTERN = (() => {
+    const units = range => Object.keys(NUMBER_UNITS).filter(word => range(NUMBER_UNITS[word])).join('|');
+    const tens = Object.keys(NUMBER_TENS).join('|');
+    return `(?:${units(n => n >= 13)}|twenty)[\\s-]+(?:(?:${tens})(?:[\\s-]+(?:${units(n => n >= 1 && n <= 9)}))?|${units(n => n >= 10)})\\b`;
+})();
+
+// "am"/"pm" straight after a number
+const MERIDIEM_AHEAD = /^\s*[ap]\.?\s?m\b/i;
+
+const ORDINAL_UNITS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth'];
+const ORDINAL_TEENS = ['tenth', 'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth',
+    'sixteenth', 'seventeenth', 'eighteenth', 'nineteenth'];
+
+// Spoken day of the month ("fifth", "twenty-first") => 1-31
+const ORDINAL_DAYS = (() => {
+    const days = {};
+    ORDINAL_UNITS.forEach((word, index) => { days[word] = index + 1; });
+    ORDINAL_TEENS.forEach((word, index) => { days[word] = index + 10; });
+    days.twentieth = 20;
+    days.thirtieth = 30;
+    ORDINAL_UNITS.forEach((word, index) => { days[`twenty ${word}`] = 21 + index; });
+    days['thirty first'] = 31;
+    return days;
+})();
+
+function collapseWhitespace(text) {
+    return text
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/^ +| +$/g, '');
+}
+
+function getNumberWordKind(word) {
+    if (word in NUMBER_UNITS) return NUMBER_UNITS[word] < 10 ? 'unit' : 'teen';
+    if (word in NUMBER_TENS) return 'ten';
+    if (word === 'hundred') return 'hundred';
+    if (word in NUMBER_SCALES) return 'scale';
+    return null;
+}
+
+// Kinds of number word allowed directly before each kind within one number ("twenty five", not "five twenty")
+const NUMBER_WORD_AFTER = {
+    unit: ['ten', 'hundred', 'scale'],
+    teen: ['hundred', 'scale'],
+    ten: ['hundred', 'scale'],
+    hundred: ['unit', 'teen'],
+    scale: ['unit', 'teen', 'ten', 'hundred']
+};
+
+// Split a run of number words into separate numbers and add each up. "and" joins parts of
+// one number only after "hundred" or a scale word ("one hundred and five") and is kept as a
+// word otherwise. A leading "a" counts as one ("a thousand and one")
+function parseNumberWords(tokens) {
+    const pieces = [];
+    let current = null;
+    let pendingAnd = null;  // "and" after hundred or a scale word, until the next word shows whether it joins
+
+    tokens.forEach(token => {
+        const word = token.toLowerCase();
+        if (word === 'and') {
+            if (current && ['hundred', 'scale'].includes(current.lastKind)) {
+                pendingAnd = token;
+            } else {
+                current = null;
+                pieces.push({ literal: token });
+            }
+            return;
+        }
+
+        const kind = word === 'a' ? 'unit' : getNumberWordKind(word);
+        const fits = current && NUMBER_WORD_AFTER[kind].includes(current.lastKind) &&
+            (kind !== 'scale' || NUMBER_SCALES[word] < current.lastScale) &&
+            !(kind === 'unit' && current.lastKind === 'ten' && current.value % 10 !== 0);
+
+        if (pendingAnd && fits) {
+            current.words.push(pendingAnd);
+        } else if (pendingAnd) {
+            pieces.push({ literal: pendingAnd });
+        }
+        pendingAnd = null;
+
+        if (!fits) {
+            current = { words: [], total: 0, value: 0, lastKind: null, lastScale: Infinity };
+            pieces.push(current);
+        }
+
+        current.words.push(token);
+        if (kind === 'hundred') {
+            current.value *= 100;
+        } else if (kind === 'scale') {
+            current.total += current.value * NUMBER_SCALES[word];
+            current.value = 0;
+            current.lastScale = NUMBER_SCALES[word];
+        } else {
+            current.value += kind === 'ten' ? NUMBER_TENS[word] : (word === 'a' ? 1 : NUMBER_UNITS[word]);
+        }
+        current.lastKind = kind;
+    });
+
+    return pieces.map(piece => (piece.literal ? piece : { words: piece.words, value: piece.total + piece.value }));
+}
+
+// Two numbers spoken as one: a clock time before "am"/"pm" ("ten thirty am" => "10:30 am") or a year
+function combineNumberPair(first, second, beforeMeridiem) {
+    if (beforeMeridiem && first.value >= 1 && first.value <= 12 && second.value >= 10 && second.value <= 59) {
+        return `${first.value}:${second.value}`;
+    }
+    if (first.words.length === 1 && first.value >= 13 && first.value <= 20 && second.value >= 10 && second.value <= 99) {
+        return String(first.value * 100 + second.value);
+    }
+    return null;
+}
+
+// Numbers spoken back to back. Other than a time or a year they stay as words, since digits
+// separated by spaces ("19 99") read as different numbers
+function formatNumberGroup(group, beforeMeridiem) {
+    if (group.length === 1) {
+        const [piece] = group;
+        return piece.value >= 10 || beforeMeridiem ? String(piece.value) : piece.words.join(' ');
+    }
+    const combined = group.length === 2 ? combineNumberPair(group[0], group[1], beforeMeridiem) : null;
+    return combined || group.map(piece => piece.words.join(' ')).join(' ');
+}
+
+// "twenty five" => "25"; numbers under ten stay as words, as most style guides prefer in prose,
+// unless they are a clock hour ("nine am")
+function formatNumberWords(text) {
+    const numberWord = [...Object.keys(NUMBER_UNITS), ...Object.keys(NUMBER_TENS), 'hundred', ...Object.keys(NUMBER_SCALES)].join('|');
+    const scaleWord = ['hundred', ...Object.keys(NUMBER_SCALES)].join('|');
+    const pattern = new RegExp(`\\b(?:a[\\s-]+(?=(?:${scaleWord})\\b))?(?:${numberWord})(?:(?:[\\s-]+and)?[\\s-]+(?:${numberWord}))*\\b`, 'gi');
+
+    return text.replace(pattern, (run, offset) => {
+        const pieces = parseNumberWords(run.split(/[\s-]+/));
+        const beforeMeridiem = MERIDIEM_AHEAD.test(text.slice(offset + run.length));
+        const output = [];
+        let start = 0;
+        while (start < pieces.length) {
+            if (pieces[start].literal) {
+                output.push(pieces[start].literal);
+                start++;
+                continue;
+            }
+            let end = start;
+            while (end < pieces.length && !pieces[end].literal) {
+                end++;
+            }
+            output.push(formatNumberGroup(pieces.slice(start, end), beforeMeridiem && end === pieces.length));
+            start = end;
+        }
+        return output.join(' ');
+    });
+}
+
+function formatSpokenDate(month, day, year, style) {
+    const mm = String(month + 1).padStart(2, '0');
+    const dd = String(day).padStart(2, '0');
+    switch (style) {
+        case 'iso':
+            return year ? `${year}-${mm}-${dd}` : `${mm}-${dd}`;
+        case 'us':
+            return year ? `${mm}/${dd}/${year}` : `${mm}/${dd}`;
+        case 'uk':
+            return year ? `${dd}/${mm}/${year}` : `${dd}/${mm}`;
+        default:
+            return year ? `${MONTH_NAMES[month]} ${day}, ${year}` : `${MONTH_NAMES[month]} ${day}`;
+    }
+}
+
+function parseDay(value) {
+    const word = value.toLowerCase().replace(/[\s-]+/g, ' ');
+    const day = word in ORDINAL_DAYS ? ORDINAL_DAYS[word] : parseInt(word, 10);
+    return day >= 1 && day <= 31 ? day : null;
+}
+
+// "march fifth 2024", "5th of March" => the chosen date style
+function formatDates(text, style) {
+    const month = `(${MONTH_NAMES.join('|')})`;
+    const ordinalWords = Object.keys(ORDINAL_DAYS)
+        .sort((a, b) => b.length - a.length)
+        .map(word => word.replace(' ', '[\\s-]+'))
+        .join('|');
+    const day = `(\\d{1,2}(?:st|nd|rd|th)?|${ordinalWords})`;
+    const year = `(?:,?\\s+(\\d{4}|${SPOKEN_YEAR_PATTERN}))?`;
+
+    const monthFirst = new RegExp(`\\b${month}\\s+${day}\\b${year}`, 'gi');
+    const dayFirst = new RegExp(`\\b(?:the\\s+)?${day}\\s+(?:of\\s+)?${month}\\b${year}`, 'gi');
+    const toIndex = name => MONTH_NAMES.findIndex(m => m.toLowerCase() === name.toLowerCase());
+    const toYear = yearText => yearText && formatNumberWords(yearText);
+
+    return text
+        .replace(monthFirst, (match, monthName, dayText, yearText) => {
+            const dayNumber = parseDay(dayText);
+            return dayNumber ? formatSpokenDate(toIndex(monthName), dayNumber, toYear(yearText), style) : match;
+        })
+        .replace(dayFirst, (match, dayText, monthName, yearText) => {
+            const dayNumber = parseDay(dayText);
+            return dayNumber ? formatSpokenDate(toIndex(monthName), dayNumber, toYear(yearText), style) : match;
+        });
+}
+
+function formatSpokenTime(hours, minutes, style) {
+    if (style === '24h') {
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+// "3:30 p.m.", "7 am" and "15:45" => the chosen time style. Clock times without AM/PM are only
+// rewritten when they are unambiguous (hour 13 and up, or leading zero) or the style is 24h
+function formatTimes(text, style) {
+    // The dot after "m" is only taken as part of "a.m."/"p.m."; after "am"/"pm" it ends the sentence
+    const withMeridiem = /\b(\d{1,2})(?::([0-5]\d))?\s*([ap])(?:\.\s?m\b\.?|\s?m\b)/gi;
+    const clock = /\b([01]?\d|2[0-3]):([0-5]\d)\b(?!\s*[ap]\.?\s?m\b)/gi;
+
+    return text
+        .replace(withMeridiem, (match, hourText, minuteText, meridiem) => {
+            const hour = parseInt(hourText, 10);
+            if (hour < 1 || hour > 12) {
+                return match;
+            }
+            const pm = meridiem.toLowerCase() === 'p';
+            const hours = (hour % 12) + (pm ? 12 : 0);
+            return formatSpokenTime(hours, parseInt(minuteText || '0', 10), style);
+        })
+        .replace(clock, (match, hourText, minuteText) => {
+            const hours = parseInt(hourText, 10);
+            const unambiguous = hours >= 13 || hourText.startsWith('0') || hours === 0;
+            if (style !== '24h' && !unambiguous) {
+                return match;
+            }
+            return formatSpokenTime(hours, parseInt(minuteText, 10), style);
+        });
+}
+
+function formatNumbersDatesTimes(text, settings) {
+    return formatTimes(formatNumberWords(formatDates(text, settings.dateStyle)), settings.timeStyle);
+}
+
+function endsSentence(text) {
+    return /[.?!]["”)]*\s*$/.test(text) || /\n\s*$/.test(text);
+}
+
+// Full stop after a result that ends in a word or number
+function addTerminalPunctuation(text) {
+    return /[\p{L}\p{N}]["”)]*$/u.test(text) ? text + '.' : text;
+}
+
+function capitalizeSentences(text, atSentenceStart) {
+    let result = text
+        .replace(/\bi\b(?!\.\w)/g, 'I')
+        .replace(/([.?!]["”)]*\s+|\n\s*)(["“(]?)([a-z])/g, (match, before, opening, letter) => before + opening + letter.toUpperCase());
+    if (atSentenceStart) {
+        result = result.replace(/^(\s*["“(]?)([a-z])/, (match, before, letter) => before + letter.toUpperCase());
+    }
+    return result;
+}
+
+// Formatted text for each segment. Segments are { text, startTime?, endTime? }; stages that look
+// across results (pauses, sentence starts) use the neighbouring segments
+function formatTranscriptSegments(segments, options = {}) {
+    const settings = { ...DEFAULT_TRANSCRIPT_FORMAT, ...options };
+    const formatted = segments.map(segment => {
+        let text = segment.text;
+        if (settings.collapseWhitespace) text = collapseWhitespace(text);
+        if (settings.formatNumbers) text = formatNumbersDatesTimes(text, settings);
+        return text;
+    });
+
+    if (settings.punctuateOnPause) {
+        formatted.forEach((text, index) => {
+            const segment = segments[index];
+            const next = segments[index + 1];
+
+            // The end of the transcript counts as a pause, as does a paragraph starting in the next result
+            const pause = !next ||
+                /^\s*\n/.test(formatted[index + 1]) ||
+                (Number.isFinite(segment.endTime) && Number.isFinite(next.startTime) &&
+                    next.startTime - segment.endTime >= settings.pauseThreshold);
+            if (pause) {
+                formatted[index] = addTerminalPunctuation(text);
+            }
+        });
+    }
+
+    if (settings.capitalize) {
+        let atSentenceStart = true;
+        formatted.forEach((text, index) => {
+            formatted[index] = capitalizeSentences(text, atSentenceStart);
+            if (/\S/.test(text)) {
+                atSentenceStart = endsSentence(formatted[index]);
+            }
+        });
+    }
+
+    return formatted;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_TRANSCRIPT_FORMAT,
+        DATE_STYLES,
+        TIME_STYLES,
+        collapseWhitespace,
+        formatNumberWords,
+        formatDates,
+        formatTimes,
+        capitalizeSentences,
+        formatTranscriptSegments
+    };
+}
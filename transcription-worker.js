@@ -0,0 +1,78 @@
+// Offline Transcription Worker
+// Runs a pluggable speech recognition backend over decoded PCM so long files do not block the page
+//
+// A backend is a script (for example a wrapper around a locally hosted WASM model) that defines
+// self.transcriptionBackend when loaded with importScripts:
+//   load(options)      optional; called once, before the first job
+//   transcribe(pcm, { sampleRate, language, signal, onProgress })
+//                      resolves with [{ text, startTime, endTime, confidence }]
+// pcm is mono Float32Array audio, times are ms from the start of the file, onProgress takes 0-1
+// and signal is an AbortSignal that fires when the page cancels the job.
+
+let loadedScriptUrl = null;
+let backendReady = null;
+const activeJobs = new Map();   // job id -> AbortController
+
+function loadBackend({ scriptUrl, options }) {
+    if (loadedScriptUrl !== scriptUrl) {
+        loadedScriptUrl = scriptUrl;
+        backendReady = (async () => {
+            importScripts(scriptUrl);
+            const backend = self.transcriptionBackend;
+            if (!backend || typeof backend.transcribe !== 'function') {
+                throw new Error(`${scriptUrl} does not define a transcription backend`);
+            }
+            if (typeof backend.load === 'function') {
+                await backend.load(options || {});
+            }
+        })();
+
+        // A failed load is retried by the next job
+        backendReady.catch(() => {
+            loadedScriptUrl = null;
+        });
+    }
+    return backendReady;
+}
+
+async function runJob({ jobId, backend, pcm, sampleRate, language }) {
+    const controller = new AbortController();
+    activeJobs.set(jobId, controller);
+
+    try {
+        await loadBackend(backend);
+        const segments = await self.transcriptionBackend.transcribe(pcm, {
+            sampleRate,
+            language,
+            signal: controller.signal,
+            onProgress: (progress) => {
+                if (!controller.signal.aborted) {
+                    self.postMessage({ type: 'progress', jobId, progress: Math.max(0, Math.min(1, progress)) });
+                }
+            }
+        });
+
+        // The page has already given up on cancelled jobs
+        if (!controller.signal.aborted) {
+            self.postMessage({ type: 'result', jobId, segments });
+        }
+    } catch (error) {
+        if (!controller.signal.aborted) {
+            self.postMessage({ type: 'error', jobId, message: error.message || String(error) });
+        }
+    } finally {
+        activeJobs.delete(jobId);
+    }
+}
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    if (message.type === 'transcribe') {
+        runJob(message);
+    } else if (message.type === 'cancel') {
+        const controller = activeJobs.get(message.jobId);
+        if (controller) {
+            controller.abort();
+        }
+    }
+});
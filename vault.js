@@ -0,0 +1,208 @@
+// Encrypted Conversion Storage
+// AES-GCM data keys wrapped by password-derived keys. An unwrapped key is only ever held in page memory
+
+const VAULT_KEY_ITERATIONS = 310000;   // PBKDF2 rounds for password-derived wrapping keys
+const VAULT_SALT_BYTES = 16;
+const VAULT_IV_BYTES = 12;             // AES-GCM nonce size
+
+const LEGACY_VAULT_DB_NAME = 'digitalk-vault';   // session keys stored by earlier versions
+
+// Recorded audio is too large for localStorage, so it lives in its own database keyed by conversion id
+const RECORDING_DB_NAME = 'digitalk-audio';
+const RECORDING_STORE_NAME = 'recordings';
+
+// Encoding helpers for storing binary data in localStorage
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Random AES-GCM key that encrypts one user's conversions; extractable only so it can be wrapped
+function generateDataKey() {
+    return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+// AES-GCM key derived from a password or recovery code, used only to wrap the data key
+async function deriveWrappingKey(secret, salt, iterations = VAULT_KEY_ITERATIONS) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        keyMaterial,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['wrapKey', 'unwrapKey']
+    );
+}
+
+// Wrap the data key under a secret; the record is safe to store next to the user
+async function wrapDataKey(dataKey, secret, iterations = VAULT_KEY_ITERATIONS) {
+    const salt = crypto.getRandomValues(new Uint8Array(VAULT_SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(VAULT_IV_BYTES));
+    const wrappingKey = await deriveWrappingKey(secret, salt, iterations);
+    const wrapped = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: 'AES-GCM', iv });
+
+    return {
+        iterations,
+        salt: bytesToBase64(salt),
+        iv: bytesToBase64(iv),
+        wrappedKey: bytesToBase64(new Uint8Array(wrapped))
+    };
+}
+
+// Throws if the secret is wrong (the AES-GCM tag will not verify)
+async function unwrapDataKey(record, secret, extractable = true) {
+    const wrappingKey = await deriveWrappingKey(secret, base64ToBytes(record.salt), record.iterations);
+    return crypto.subtle.unwrapKey(
+        'raw',
+        base64ToBytes(record.wrappedKey),
+        wrappingKey,
+        { name: 'AES-GCM', iv: base64ToBytes(record.iv) },
+        { name: 'AES-GCM', length: 256 },
+        extractable,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Copy of a data key whose raw bytes can never be read back out
+async function toSessionKey(dataKey) {
+    const raw = await crypto.subtle.exportKey('raw', dataKey);
+    return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+async function encryptJSON(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(VAULT_IV_BYTES));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(value))
+    );
+    return {
+        encrypted: true,
+        iv: bytesToBase64(iv),
+        data: bytesToBase64(new Uint8Array(data))
+    };
+}
+
+async function decryptJSON(key, envelope) {
+    const data = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(envelope.iv) },
+        key,
+        base64ToBytes(envelope.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+}
+
+// Binary variant for audio; IndexedDB stores the bytes as they are, so nothing is base64-encoded
+async function encryptBytes(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(VAULT_IV_BYTES));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv, data };
+}
+
+function decryptBytes(key, { iv, data }) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+}
+
+function isEncryptedEnvelope(value) {
+    return Boolean(value && value.encrypted === true && value.iv && value.data);
+}
+
+// Anyone with access to the profile could read a key kept in IndexedDB, so drop the old store
+function deleteLegacySessionKeys() {
+    if (typeof indexedDB !== 'undefined') {
+        indexedDB.deleteDatabase(LEGACY_VAULT_DB_NAME);
+    }
+}
+
+// Recording store: { conversionId, ownerId, encrypted, clips }, indexed by owner so an account's audio can be dropped at once
+function openRecordingDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(RECORDING_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(RECORDING_STORE_NAME, { keyPath: 'conversionId' });
+            store.createIndex('ownerId', 'ownerId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function recordingTransaction(mode, operation) {
+    const db = await openRecordingDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(RECORDING_STORE_NAME, mode);
+        const request = operation(transaction.objectStore(RECORDING_STORE_NAME));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+function storeRecording(record) {
+    return recordingTransaction('readwrite', store => store.put(record));
+}
+
+function loadRecording(conversionId) {
+    return recordingTransaction('readonly', store => store.get(conversionId));
+}
+
+function deleteRecording(conversionId) {
+    return recordingTransaction('readwrite', store => store.delete(conversionId));
+}
+
+function deleteRecordingsByOwner(ownerId) {
+    return recordingTransaction('readwrite', store => {
+        store.index('ownerId').openKeyCursor(ownerId).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        bytesToBase64,
+        base64ToBytes,
+        generateDataKey,
+        wrapDataKey,
+        unwrapDataKey,
+        toSessionKey,
+        encryptJSON,
+        decryptJSON,
+        encryptBytes,
+        decryptBytes,
+        isEncryptedEnvelope,
+        deleteLegacySessionKeys,
+        storeRecording,
+        loadRecording,
+        deleteRecording,
+        deleteRecordingsByOwner
+    };
+}
@@ -0,0 +1,311 @@
+// Custom Vocabulary
+// Per-user replacement rules for names, acronyms and jargon the recognizer keeps getting wrong.
+// Rules run in order on recognized text; literal rules use escapeRegExp from dictation.js and
+// exports use downloadFile from captions.js
+
+const MAX_VOCABULARY_RULES = 200;
+const MAX_VOCABULARY_TEXT_LENGTH = 200;
+
+const DEFAULT_VOCABULARY_RULE = {
+    find: '',
+    replace: '',
+    regex: false,          // find is a regular expression and replace may use $1-$9 and $&
+    matchCase: false,      // only match text cased exactly like find
+    preserveCase: false,   // follow the matched text's case (UPPER, lower or Capitalized) instead of replace as written
+    wholeWord: true,       // literal rules do not match inside longer words
+    languages: [],         // recognition languages ('en' or 'en-GB'); empty for every language
+    hits: 0                // how often the rule has fired
+};
+
+// Columns of the CSV format, in export order; fire counts are personal and stay out of shared files
+const VOCABULARY_CSV_COLUMNS = ['find', 'replace', 'regex', 'matchCase', 'preserveCase', 'wholeWord', 'languages'];
+
+const VOCABULARY_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+function createVocabularyRuleId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function compileVocabularyRule(rule) {
+    const flags = rule.matchCase ? 'g' : 'gi';
+    if (rule.regex) {
+        return new RegExp(rule.find, flags);
+    }
+
+    // Any run of spaces matches any whitespace; whole words are bounded by anything but letters and digits
+    const literal = escapeRegExp(rule.find).replace(/\s+/g, '\\s+');
+    return rule.wholeWord
+        ? new RegExp(`(?<![\\p{L}\\p{N}])${literal}(?![\\p{L}\\p{N}])`, flags + 'u')
+        : new RegExp(literal, flags + 'u');
+}
+
+// Validated copy of a rule; index numbers the rule in error messages
+function normalizeVocabularyRule(rule, index = 0) {
+    const label = `Rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`${label}: expected a rule object`);
+    }
+
+    const find = typeof rule.find === 'string' ? rule.find.trim() : '';
+    const replace = rule.replace === undefined || rule.replace === null ? '' : rule.replace;
+    if (!find) {
+        throw new Error(`${label}: the text to find is missing`);
+    }
+    if (typeof replace !== 'string') {
+        throw new Error(`${label}: the replacement must be text`);
+    }
+    if (find.length > MAX_VOCABULARY_TEXT_LENGTH || replace.length > MAX_VOCABULARY_TEXT_LENGTH) {
+        throw new Error(`${label}: find and replace are limited to ${MAX_VOCABULARY_TEXT_LENGTH} characters`);
+    }
+
+    const languages = typeof rule.languages === 'string'
+        ? rule.languages.split(/[\s,;]+/).filter(Boolean)
+        : rule.languages || [];
+    if (!Array.isArray(languages)) {
+        throw new Error(`${label}: languages must be a list of language codes`);
+    }
+    const unknown = languages.find(code => !/^[a-z]{2,3}(-[A-Z]{2})?$/.test(code));
+    if (unknown !== undefined) {
+        throw new Error(`${label}: "${unknown}" is not a language code like en or en-GB`);
+    }
+
+    const normalized = {
+        id: typeof rule.id === 'string' && rule.id ? rule.id : createVocabularyRuleId(),
+        find,
+        replace,
+        regex: rule.regex === undefined ? DEFAULT_VOCABULARY_RULE.regex : Boolean(rule.regex),
+        matchCase: rule.matchCase === undefined ? DEFAULT_VOCABULARY_RULE.matchCase : Boolean(rule.matchCase),
+        preserveCase: rule.preserveCase === undefined ? DEFAULT_VOCABULARY_RULE.preserveCase : Boolean(rule.preserveCase),
+        wholeWord: rule.wholeWord === undefined ? DEFAULT_VOCABULARY_RULE.wholeWord : Boolean(rule.wholeWord),
+        languages: [...new Set(languages)],
+        hits: Number.isInteger(rule.hits) && rule.hits > 0 ? rule.hits : 0
+    };
+
+    let pattern;
+    try {
+        pattern = compileVocabularyRule(normalized);
+    } catch (error) {
+        throw new Error(`${label}: ${error.message}`);
+    }
+    if (pattern.test('')) {
+        throw new Error(`${label}: the pattern matches empty text`);
+    }
+    return normalized;
+}
+
+function normalizeVocabularyRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Expected a list of vocabulary rules');
+    }
+    if (rules.length > MAX_VOCABULARY_RULES) {
+        throw new Error(`You can define up to ${MAX_VOCABULARY_RULES} vocabulary rules`);
+    }
+    return rules.map(normalizeVocabularyRule);
+}
+
+// A rule scoped to "en" covers every English variant
+function vocabularyRuleAppliesTo(rule, language) {
+    const base = language.split('-')[0];
+    return rule.languages.length === 0 || rule.languages.some(code => code === language || code === base);
+}
+
+// Compiled rules for one recognition language, in order
+function getVocabularyRules(rules, language) {
+    return rules
+        .filter(rule => vocabularyRuleAppliesTo(rule, language))
+        .map(rule => ({ rule, pattern: compileVocabularyRule(rule) }));
+}
+
+// "$1"-"$9", "$&" and "$$" in a regex rule's replacement
+function expandVocabularyReplacement(template, match, captures) {
+    return template.replace(/\$([$&1-9])/g, (token, key) => {
+        if (key === '$') return '$';
+        if (key === '&') return match;
+        const index = Number(key) - 1;
+        return index < captures.length ? (captures[index] || '') : token;
+    });
+}
+
+// Follow the case of the matched text: all caps, all lowercase or a leading capital
+function matchVocabularyCase(source, replacement) {
+    const letters = source.replace(/[^\p{L}]/gu, '');
+    if (!letters) {
+        return replacement;
+    }
+    if (letters.length > 1 && letters === letters.toUpperCase()) {
+        return replacement.toUpperCase();
+    }
+    if (letters === letters.toLowerCase()) {
+        return replacement.toLowerCase();
+    }
+    if (letters[0] === letters[0].toUpperCase()) {
+        return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+    }
+    return replacement;
+}
+
+// Text with every rule applied in turn, and how often each fired keyed by rule id
+function applyVocabulary(text, compiledRules) {
+    const hits = {};
+    const corrected = compiledRules.reduce((current, { rule, pattern }) => current.replace(pattern, (match, ...rest) => {
+        if (!match) {
+            return match;
+        }
+
+        // rest is the captures, then offset and input, then named groups if the pattern has any
+        const captures = rest.slice(0, typeof rest[rest.length - 1] === 'object' ? -3 : -2);
+        const replacement = rule.regex ? expandVocabularyReplacement(rule.replace, match, captures) : rule.replace;
+        hits[rule.id] = (hits[rule.id] || 0) + 1;
+        return rule.preserveCase ? matchVocabularyCase(match, replacement) : replacement;
+    }), text);
+    return { text: corrected, hits };
+}
+
+// Imported rules replace existing rules with the same find text and type, keeping their counts; others are added
+function mergeVocabularyRules(existing, imported) {
+    const merged = existing.slice();
+    imported.forEach(rule => {
+        const index = merged.findIndex(other => other.regex === rule.regex && other.find === rule.find);
+        if (index === -1) {
+            merged.push(rule);
+        } else {
+            merged[index] = { ...rule, id: merged[index].id, hits: merged[index].hits };
+        }
+    });
+
+    if (merged.length > MAX_VOCABULARY_RULES) {
+        throw new Error(`You can define up to ${MAX_VOCABULARY_RULES} vocabulary rules`);
+    }
+    return merged;
+}
+
+// Rows of a CSV document; quoted fields may contain commas, doubled quotes and line breaks
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function formatCSVField(value) {
+    return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// Blank cells keep the default
+function parseCSVBoolean(value) {
+    const text = value.trim().toLowerCase();
+    return text === '' ? undefined : ['true', 'yes', 'y', '1'].includes(text);
+}
+
+function parseVocabularyCSV(text) {
+    const [header, ...rows] = parseCSVRows(text);
+    const columns = (header || []).map(name => VOCABULARY_CSV_COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase()));
+    if (!columns.includes('find') || !columns.includes('replace')) {
+        throw new Error('The CSV file needs a header row with "find" and "replace" columns');
+    }
+
+    return rows.map(cells => {
+        const rule = {};
+        columns.forEach((column, index) => {
+            const value = cells[index] || '';
+            if (column === 'find' || column === 'replace' || column === 'languages') {
+                rule[column] = value;
+            } else if (column) {
+                rule[column] = parseCSVBoolean(value);
+            }
+        });
+        return rule;
+    });
+}
+
+function parseVocabularyJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    const rules = Array.isArray(data) ? data : data && data.rules;
+    if (!Array.isArray(rules)) {
+        throw new Error('Expected a list of vocabulary rules');
+    }
+    return rules;
+}
+
+// Rules from an exported JSON (a list, or { rules }) or CSV file; imported rules start with new ids and no hits
+function parseVocabularyFile(text, fileName = '') {
+    const content = text.replace(/^\uFEFF/, '').trim();
+    const isJSON = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^[[{]/.test(content));
+    const rules = isJSON ? parseVocabularyJSON(content) : parseVocabularyCSV(content);
+    return normalizeVocabularyRules(rules.map(rule => ({ ...rule, id: undefined, hits: 0 })));
+}
+
+function exportVocabulary(rules, format) {
+    const shared = rules.map(({ id, hits, ...rule }) => rule);
+    if (format === 'json') {
+        return JSON.stringify(shared, null, 2);
+    }
+
+    const rows = shared.map(rule => VOCABULARY_CSV_COLUMNS.map(column =>
+        column === 'languages' ? rule.languages.join(' ') : String(rule[column])
+    ));
+    return [VOCABULARY_CSV_COLUMNS, ...rows].map(row => row.map(formatCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+function downloadVocabulary(rules, format, baseName) {
+    const { extension, mimeType } = VOCABULARY_FORMATS[format];
+    downloadFile(exportVocabulary(rules, format), `${baseName}.${extension}`, mimeType);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_VOCABULARY_RULES,
+        DEFAULT_VOCABULARY_RULE,
+        normalizeVocabularyRule,
+        normalizeVocabularyRules,
+        getVocabularyRules,
+        applyVocabulary,
+        mergeVocabularyRules,
+        parseVocabularyFile,
+        exportVocabulary,
+        downloadVocabulary
+    };
+}